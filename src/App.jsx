@@ -5,12 +5,58 @@ import {
   Routes,
   Route,
   Navigate,
+  useLocation,
 } from "react-router-dom";
 import { AuthProvider } from "./context/AuthContext";
 import { ThemeProvider } from "./context/ThemeContext";
 import ProtectedRoute from "./components/ProtectedRoute";
 import SignIn from "./components/SignIn";
 import Dashboard from "./components/Dashboard";
+import DocumentsPage from "./components/DocumentsPage";
+import ChatInterface from "./components/ChatInterface";
+import HealthMonitor from "./components/HealthMonitor";
+import DocumentViewer from "./components/DocumentViewer";
+import DocumentDetail from "./components/DocumentDetail";
+import SharedChat from "./components/SharedChat";
+
+function AppRoutes() {
+  const location = useLocation();
+  // The document viewer can open on top of another page (e.g. a chat's
+  // citations) without unmounting it; that page travels in location state.
+  const backgroundLocation = location.state?.backgroundLocation;
+
+  return (
+    <>
+      <Routes location={backgroundLocation || location}>
+        <Route path="/signin" element={<SignIn />} />
+        <Route path="/share/:token" element={<SharedChat />} />
+        <Route
+          path="/"
+          element={
+            <ProtectedRoute>
+              <Dashboard />
+            </ProtectedRoute>
+          }
+        >
+          <Route index element={<Navigate to="/documents" replace />} />
+          <Route path="documents" element={<DocumentsPage />}>
+            <Route path=":id" element={<DocumentViewer />} />
+          </Route>
+          <Route path="documents/:id/details" element={<DocumentDetail />} />
+          <Route path="chat/:chatId?" element={<ChatInterface />} />
+          <Route path="health" element={<HealthMonitor />} />
+        </Route>
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+
+      {backgroundLocation && (
+        <Routes>
+          <Route path="/documents/:id" element={<DocumentViewer />} />
+        </Routes>
+      )}
+    </>
+  );
+}
 
 function App() {
   return (
@@ -18,18 +64,7 @@ function App() {
       <AuthProvider>
         <Router>
           <div className="App">
-            <Routes>
-              <Route path="/signin" element={<SignIn />} />
-              <Route
-                path="/"
-                element={
-                  <ProtectedRoute>
-                    <Dashboard />
-                  </ProtectedRoute>
-                }
-              />
-              <Route path="*" element={<Navigate to="/" replace />} />
-            </Routes>
+            <AppRoutes />
           </div>
         </Router>
       </AuthProvider>
@@ -0,0 +1,166 @@
+// src/components/ChatExportMenu.jsx - Export the active chat, or all chats, as Markdown, PDF or JSON
+import React, { useState, useEffect, useRef } from "react";
+import apiService from "../services/apiService";
+import {
+  chatToMarkdown,
+  chatToJson,
+  chatsToHtml,
+  getExportFilename,
+  printHtml,
+} from "../utils/chatExport";
+import { downloadFile } from "../utils/download";
+
+const FORMATS = [
+  { id: "markdown", label: "Markdown (.md)" },
+  { id: "pdf", label: "PDF (print)" },
+  { id: "json", label: "JSON transcript" },
+];
+
+const exportChats = (chats, format, filenameBase) => {
+  if (format === "markdown") {
+    downloadFile(
+      getExportFilename(filenameBase, "md"),
+      chats.map(chatToMarkdown).join("\n---\n\n"),
+      "text/markdown;charset=utf-8"
+    );
+  } else if (format === "json") {
+    const transcripts = chats.map(chatToJson);
+    downloadFile(
+      getExportFilename(filenameBase, "json"),
+      JSON.stringify(
+        transcripts.length === 1 ? transcripts[0] : transcripts,
+        null,
+        2
+      ),
+      "application/json"
+    );
+  } else {
+    printHtml(chatsToHtml(chats));
+  }
+};
+
+export default function ChatExportMenu({ chatId, hasChats, onError }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = e => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  const exportActiveChat = async format => {
+    try {
+      setExporting(true);
+      setOpen(false);
+
+      const response = await apiService.getChat(chatId, true);
+      if (!response?.data) {
+        throw new Error("Invalid chat response from server");
+      }
+      const chat = { ...response.data, id: chatId };
+      exportChats([chat], format, chat);
+    } catch (error) {
+      console.error("Export chat error:", error);
+      onError("Failed to export chat: " + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const exportAllChats = async format => {
+    try {
+      setExporting(true);
+      setOpen(false);
+
+      const response = await apiService.getChats(true);
+      const chats = response?.data?.chats || response?.data || [];
+      if (!Array.isArray(chats) || chats.length === 0) {
+        throw new Error("No chats to export");
+      }
+      exportChats(chats, format, { title: "atlas-ai-chats" });
+    } catch (error) {
+      console.error("Export all chats error:", error);
+      onError("Failed to export chats: " + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!chatId && !hasChats) return null;
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        disabled={exporting}
+        className="inline-flex items-center px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+        title="Export chats"
+      >
+        {exporting ? (
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-600 dark:border-gray-400 mr-2"></div>
+        ) : (
+          <svg
+            className="h-4 w-4 mr-1"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+            />
+          </svg>
+        )}
+        Export
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 w-52 z-30 rounded-md shadow-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 py-1 text-sm">
+          {chatId && (
+            <>
+              <p className="px-3 py-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                This chat
+              </p>
+              {FORMATS.map(format => (
+                <button
+                  key={format.id}
+                  onClick={() => exportActiveChat(format.id)}
+                  className="block w-full text-left px-3 py-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  {format.label}
+                </button>
+              ))}
+            </>
+          )}
+          {hasChats && (
+            <>
+              <p className="px-3 py-1 mt-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 border-t border-gray-100 dark:border-gray-700">
+                All chats
+              </p>
+              {FORMATS.map(format => (
+                <button
+                  key={format.id}
+                  onClick={() => exportAllChats(format.id)}
+                  className="block w-full text-left px-3 py-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  {format.label}
+                </button>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
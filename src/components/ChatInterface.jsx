@@ -1,115 +1,139 @@
 // src/components/ChatInterface.jsx - Mobile Responsive with Collapsible Sidebar
-import React, { useState, useEffect, useRef, useCallback } from "react";
+import React, { useState, useEffect, useRef } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
 import apiService from "../services/apiService";
-
-// Simple markdown parser for rich text
-const parseMarkdown = text => {
-  if (!text) return text;
-
-  // Convert markdown to HTML
-  let html = text
-    // Headers
-    .replace(
-      /^### (.*$)/gim,
-      '<h3 class="text-lg font-semibold mt-4 mb-2">$1</h3>'
-    )
-    .replace(
-      /^## (.*$)/gim,
-      '<h2 class="text-xl font-semibold mt-4 mb-2">$1</h2>'
-    )
-    .replace(/^# (.*$)/gim, '<h1 class="text-2xl font-bold mt-4 mb-2">$1</h1>')
-
-    // Bold
-    .replace(/\*\*(.*?)\*\*/g, '<strong class="font-semibold">$1</strong>')
-
-    // Italic
-    .replace(/\*(.*?)\*/g, '<em class="italic">$1</em>')
-
-    // Code blocks
-    .replace(
-      /```([\s\S]*?)```/g,
-      '<pre class="bg-gray-100 dark:bg-gray-800 p-3 rounded-md my-2 overflow-x-auto"><code class="text-sm">$1</code></pre>'
-    )
-
-    // Inline code
-    .replace(
-      /`([^`]+)`/g,
-      '<code class="bg-gray-100 dark:bg-gray-800 px-1 py-0.5 rounded text-sm">$1</code>'
-    )
-
-    // Unordered lists
-    .replace(/^\- (.*$)/gim, '<li class="ml-4">• $1</li>')
-    .replace(/(<li.*<\/li>)/s, '<ul class="my-2">$1</ul>')
-
-    // Ordered lists
-    .replace(/^\d+\. (.*$)/gim, '<li class="ml-4 list-decimal">$1</li>')
-
-    // Links
-    .replace(
-      /\[([^\]]+)\]\(([^)]+)\)/g,
-      '<a href="$2" class="text-blue-600 dark:text-blue-400 hover:underline" target="_blank">$1</a>'
-    )
-
-    // Line breaks
-    .replace(/\n/g, "<br/>");
-
-  return html;
+import MarkdownRenderer from "./MarkdownRenderer";
+import MessageSources, { normalizeSources } from "./MessageSources";
+import DocumentPicker from "./DocumentPicker";
+import { getDocumentTitle } from "../utils/documents";
+import ChatListItem from "./ChatListItem";
+import ChatExportMenu from "./ChatExportMenu";
+import ChatShareMenu from "./ChatShareMenu";
+import { getDocumentViewerPath } from "./DocumentViewer";
+
+// Message component. Content grows as tokens arrive while the answer streams.
+const MessageContent = ({
+  content,
+  isStreaming = false,
+  citationCount = 0,
+  onCitationClick,
+}) => (
+  <div className="prose prose-sm max-w-none dark:prose-invert">
+    <MarkdownRenderer
+      content={content}
+      citationCount={citationCount}
+      onCitationClick={onCitationClick}
+    />
+    {isStreaming && (
+      <span className="inline-block w-2 h-4 bg-current animate-pulse ml-1">
+        |
+      </span>
+    )}
+  </div>
+);
+
+const isAbortError = error => error?.name === "AbortError";
+
+// Regenerated answers keep every attempt; the message mirrors the shown one
+const toAttempt = message => ({
+  id: message.id,
+  content: message.content,
+  context: message.context,
+  createdAt: message.createdAt,
+  stopped: message.stopped,
+});
+
+const showAttempt = (message, attemptIndex) => ({
+  ...message,
+  ...message.attempts[attemptIndex],
+  attemptIndex,
+});
+
+const syncAttempt = message => {
+  if (!message.attempts) return message;
+  const attempts = [...message.attempts];
+  attempts[message.attemptIndex] = toAttempt(message);
+  return { ...message, attempts };
 };
 
-// Message component with frontend streaming simulation
-const MessageContent = ({ content, isStreaming = false, onStreamComplete }) => {
-  const [displayedContent, setDisplayedContent] = useState("");
-  const streamingRef = useRef(false);
-
-  useEffect(() => {
-    if (isStreaming && content && !streamingRef.current) {
-      streamingRef.current = true;
-      setDisplayedContent("");
-
-      let index = 0;
-      const streamText = () => {
-        if (index < content.length) {
-          // Add 1-3 characters at a time for more natural streaming
-          const chunkSize =
-            Math.random() > 0.7 ? 3 : Math.random() > 0.4 ? 2 : 1;
-          const nextChunk = content.slice(index, index + chunkSize);
-          setDisplayedContent(prev => prev + nextChunk);
-          index += chunkSize;
-
-          // Variable delay to simulate real AI thinking/generation
-          const delay = Math.random() * 50 + 20; // 20-70ms delay
-          setTimeout(streamText, delay);
-        } else {
-          streamingRef.current = false;
-          onStreamComplete?.();
-        }
-      };
-
-      // Start streaming after a brief delay
-      setTimeout(streamText, 100);
-    } else if (!isStreaming) {
-      setDisplayedContent(content);
-      streamingRef.current = false;
-    }
-  }, [content, isStreaming, onStreamComplete]);
-
-  const htmlContent = parseMarkdown(displayedContent);
+// Edited user messages keep each version's tail of the conversation as a
+// branch; the branch metadata lives on the head (edited) message.
+const stripBranches = ({ branches, branchIndex, ...message }) => message;
+
+const showBranch = (messages, headIndex, branchIndex) => {
+  const head = messages[headIndex];
+  const branches = [...head.branches];
+  branches[head.branchIndex] = [
+    stripBranches(head),
+    ...messages.slice(headIndex + 1),
+  ];
+
+  const [branchHead, ...rest] = branches[branchIndex];
+  return [
+    ...messages.slice(0, headIndex),
+    { ...branchHead, branches, branchIndex },
+    ...rest,
+  ];
+};
 
-  return (
-    <div className="prose prose-sm max-w-none dark:prose-invert">
-      <div
-        dangerouslySetInnerHTML={{ __html: htmlContent }}
-        className="whitespace-pre-wrap"
-      />
-      {isStreaming && streamingRef.current && (
-        <span className="inline-block w-2 h-4 bg-current animate-pulse ml-1">
-          |
-        </span>
-      )}
-    </div>
-  );
+// Messages created here carry a temporary id until the server reports its own
+const isLocalMessageId = id => /^(user|assistant)-\d+$/.test(String(id));
+
+// Give a message its server id, including the copies kept in branches
+const replaceMessageId = (messages, fromId, toId) =>
+  messages.map(msg => {
+    const branches = msg.branches?.map(branch =>
+      branch.map(item => (item.id === fromId ? { ...item, id: toId } : item))
+    );
+    const updated = msg.id === fromId ? { ...msg, id: toId } : msg;
+    return branches ? { ...updated, branches } : updated;
+  });
+
+// Compact "‹ 2/3 ›" switcher for answer attempts and conversation branches.
+// The alternatives only live in this page's state; a reload shows just the
+// messages the server kept.
+const VersionSwitcher = ({ index, total, label, disabled, onChange }) => (
+  <div
+    className="flex items-center space-x-1"
+    title={`Other ${label}s are kept until you leave or reload this chat`}
+  >
+    <button
+      onClick={() => onChange(index - 1)}
+      disabled={disabled || index === 0}
+      className="px-1 hover:opacity-75 disabled:opacity-40"
+      title={`Previous ${label}`}
+    >
+      ‹
+    </button>
+    <span>
+      {index + 1}/{total}
+    </span>
+    <button
+      onClick={() => onChange(index + 1)}
+      disabled={disabled || index === total - 1}
+      className="px-1 hover:opacity-75 disabled:opacity-40"
+      title={`Next ${label}`}
+    >
+      ›
+    </button>
+    <span className="opacity-75">(this session)</span>
+  </div>
+);
+
+// Excerpt of `text` around the first occurrence of `query`
+const getSearchSnippet = (text, query, radius = 40) => {
+  const index = text.toLowerCase().indexOf(query.toLowerCase());
+  if (index === -1) return null;
+
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + query.length + radius);
+  return `${start > 0 ? "…" : ""}${text
+    .slice(start, end)
+    .replace(/\s+/g, " ")}${end < text.length ? "…" : ""}`;
 };
 
+const COLLAPSED_GROUPS_KEY = "atlas-ai-collapsed-chat-groups";
+
 export default function ChatInterface() {
   const [chats, setChats] = useState([]);
   const [activeChat, setActiveChat] = useState(null);
@@ -122,15 +146,89 @@ export default function ChatInterface() {
   const [streamingMessageId, setStreamingMessageId] = useState(null);
   const [error, setError] = useState("");
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [expandedSources, setExpandedSources] = useState({});
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState("");
+  const [documents, setDocuments] = useState([]);
+  const [documentsLoading, setDocumentsLoading] = useState(false);
+  const [newChatDocumentIds, setNewChatDocumentIds] = useState([]);
+  const [showScopeEditor, setShowScopeEditor] = useState(false);
+  const [chatSearch, setChatSearch] = useState("");
+  const [searchIndex, setSearchIndex] = useState(null);
+  const [searchLoading, setSearchLoading] = useState(false);
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+  const [collapsedGroups, setCollapsedGroups] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(COLLAPSED_GROUPS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  });
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const simulationRef = useRef(null);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { chatId: routeChatId } = useParams();
+  const activeChatIdRef = useRef(null);
+  activeChatIdRef.current = activeChat?.id || null;
 
   useEffect(() => {
     loadChats();
+    loadDocuments();
   }, []);
 
+  // The URL (/chat/:chatId) decides which chat is open, so links, refreshes
+  // and back/forward all land on the right conversation
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    if (routeChatId) {
+      if (routeChatId !== activeChatIdRef.current) {
+        setShowNewChatForm(false);
+        setShowScopeEditor(false);
+        loadChatMessages(routeChatId);
+      }
+    } else if (
+      activeChatIdRef.current &&
+      !activeChatIdRef.current.startsWith("temp-")
+    ) {
+      setActiveChat(null);
+      setMessages([]);
+    }
+  }, [routeChatId]);
+
+  // "Chat with this document" arrives with the scope in location state; it
+  // opens a new chat form once and is then cleared so a reload doesn't repeat it
+  useEffect(() => {
+    const documentIds = location.state?.documentIds;
+    if (!documentIds?.length || routeChatId) return;
+
+    setActiveChat(null);
+    setMessages([]);
+    setNewMessage("");
+    setNewChatTitle(location.state.title || "");
+    setNewChatDocumentIds(documentIds);
+    setError("");
+    setShowNewChatForm(true);
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location.state, location.pathname, routeChatId, navigate]);
+
+  // Follow new messages, unless a search result asked for a specific one
+  useEffect(() => {
+    if (focusedMessageId) {
+      document
+        .getElementById(`message-${focusedMessageId}`)
+        ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    } else {
+      scrollToBottom();
+    }
+  }, [messages, focusedMessageId]);
+
+  // Message bodies are only fetched once someone searches
+  useEffect(() => {
+    if (chatSearch.trim() && !searchIndex && !searchLoading) {
+      loadSearchIndex();
+    }
+  }, [chatSearch, searchIndex, searchLoading]);
 
   // Close sidebar when clicking outside on mobile
   useEffect(() => {
@@ -161,8 +259,11 @@ export default function ChatInterface() {
   };
 
   // Close sidebar when selecting a chat on mobile
-  const handleChatSelect = chatId => {
-    loadChatMessages(chatId);
+  const handleChatSelect = (chatId, focusMessageId = null) => {
+    setFocusedMessageId(focusMessageId);
+    if (chatId !== activeChat?.id) {
+      navigate(`/chat/${chatId}`);
+    }
     if (window.innerWidth < 768) {
       setSidebarOpen(false);
     }
@@ -173,7 +274,7 @@ export default function ChatInterface() {
       setLoading(true);
       setError("");
       const response = await apiService.getChats();
-      console.log("Load chats response:", response);
+      setSearchIndex(null);
 
       if (response && response.success && response.data) {
         const chatData = response.data.chats || response.data || [];
@@ -189,13 +290,90 @@ export default function ChatInterface() {
     }
   };
 
+  const loadSearchIndex = async () => {
+    try {
+      setSearchLoading(true);
+      const response = await apiService.getChats(true);
+      const chatData = response?.data?.chats || response?.data || [];
+      setSearchIndex(Array.isArray(chatData) ? chatData : []);
+    } catch (error) {
+      console.error("Error loading chat search index:", error);
+      setSearchIndex([]);
+    } finally {
+      setSearchLoading(false);
+    }
+  };
+
+  const loadDocuments = async () => {
+    try {
+      setDocumentsLoading(true);
+      const response = await apiService.getDocuments();
+      const documentsData =
+        response.data?.documents || response.data || response;
+      setDocuments(Array.isArray(documentsData) ? documentsData : []);
+    } catch (error) {
+      console.error("Error loading documents for chat scope:", error);
+    } finally {
+      setDocumentsLoading(false);
+    }
+  };
+
+  const getDocumentName = documentId => {
+    const doc = documents.find(d => d.id === documentId);
+    return doc ? getDocumentTitle(doc) : "Unknown document";
+  };
+
+  // Apply chat changes locally right away, rolling back if the save fails
+  const updateChatDetails = async (chatId, updates) => {
+    const previousChats = chats;
+    const previousActiveChat = activeChat;
+
+    setChats(prev =>
+      prev.map(chat => (chat.id === chatId ? { ...chat, ...updates } : chat))
+    );
+    if (activeChat?.id === chatId) {
+      setActiveChat(prev => ({ ...prev, ...updates }));
+    }
+
+    try {
+      await apiService.updateChat(chatId, updates);
+    } catch (error) {
+      console.error("Error updating chat:", error);
+      setChats(previousChats);
+      setActiveChat(previousActiveChat);
+      setError("Failed to update chat: " + error.message);
+    }
+  };
+
+  // The share token is created or revoked server-side; mirror it locally
+  const handleShareChange = (chatId, shareToken) => {
+    setChats(prev =>
+      prev.map(chat => (chat.id === chatId ? { ...chat, shareToken } : chat))
+    );
+    setActiveChat(prev =>
+      prev?.id === chatId ? { ...prev, shareToken } : prev
+    );
+  };
+
+  // Change which documents the active chat searches; persisted on the chat
+  const updateChatScope = documentIds => {
+    if (!activeChat) return;
+    updateChatDetails(activeChat.id, { documentIds });
+  };
+
+  const toggleGroup = key => {
+    setCollapsedGroups(prev => {
+      const next = { ...prev, [key]: !prev[key] };
+      localStorage.setItem(COLLAPSED_GROUPS_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
   const loadChatMessages = async chatId => {
     try {
       setError("");
-      console.log("Loading chat messages for ID:", chatId);
 
       const response = await apiService.getChat(chatId, true);
-      console.log("Load chat messages response:", response);
 
       if (response && response.success && response.data) {
         const chatData = {
@@ -205,7 +383,6 @@ export default function ChatInterface() {
 
         setMessages(response.data.messages || []);
         setActiveChat(chatData);
-        console.log("Set active chat:", chatData);
       } else {
         setMessages([]);
         console.warn("Invalid chat response:", response);
@@ -216,24 +393,130 @@ export default function ChatInterface() {
     }
   };
 
+  // Append a streamed token to the placeholder assistant message
+  const appendToken = assistantMessageId => token => {
+    setMessages(prev =>
+      prev.map(msg =>
+        msg.id === assistantMessageId
+          ? { ...msg, content: msg.content + token }
+          : msg
+      )
+    );
+  };
+
+  // Reveal a fully received answer 1-3 characters at a time for backends
+  // that don't stream. Resolves when done or when the user stops it.
+  const simulateStream = (messageId, text) =>
+    new Promise(resolve => {
+      const addToken = appendToken(messageId);
+      let index = 0;
+
+      const streamText = () => {
+        if (index >= text.length) {
+          simulationRef.current = null;
+          resolve();
+          return;
+        }
+
+        // Add 1-3 characters at a time for more natural streaming
+        const chunkSize = Math.random() > 0.7 ? 3 : Math.random() > 0.4 ? 2 : 1;
+        addToken(text.slice(index, index + chunkSize));
+        index += chunkSize;
+
+        // Variable delay to simulate real AI thinking/generation
+        const delay = Math.random() * 50 + 20; // 20-70ms delay
+        simulationRef.current = {
+          timeoutId: setTimeout(streamText, delay),
+          resolve,
+        };
+      };
+
+      // Start streaming after a brief delay
+      simulationRef.current = {
+        timeoutId: setTimeout(streamText, 100),
+        resolve,
+      };
+    });
+
+  // Swap the placeholder for the final answer. Streamed answers are already
+  // on screen; answers from a non-streaming backend go through the simulation.
+  // The question sent alongside (userMessageId) takes the server's id too, so
+  // it can be edited later.
+  const finalizeAssistantMessage = async (
+    assistantMessageId,
+    { answer, messageId, userMessageId, userMessage, context },
+    streamed,
+    localUserMessageId = null
+  ) => {
+    const finalId = messageId || assistantMessageId;
+    const serverUserMessageId = userMessageId || userMessage?.id;
+
+    setMessages(prev =>
+      (localUserMessageId && serverUserMessageId
+        ? replaceMessageId(prev, localUserMessageId, serverUserMessageId)
+        : prev
+      ).map(msg => {
+        if (msg.id !== assistantMessageId) return msg;
+        const finalMessage = { ...msg, id: finalId, content: answer, context };
+        return {
+          ...finalMessage,
+          attempts: msg.attempts && [...msg.attempts, toAttempt(finalMessage)],
+          content: streamed ? answer : "",
+        };
+      })
+    );
+
+    if (!streamed) {
+      setStreamingMessageId(finalId);
+      await simulateStream(finalId, answer || "");
+    }
+  };
+
+  const startGeneration = assistantMessageId => {
+    abortControllerRef.current = new AbortController();
+    setFocusedMessageId(null);
+    setStreamingMessageId(assistantMessageId);
+    return abortControllerRef.current.signal;
+  };
+
+  const endGeneration = () => {
+    abortControllerRef.current = null;
+    setStreamingMessageId(null);
+    setSendingMessage(false);
+  };
+
+  // Abort the in-flight request and halt the streaming; keep what was shown
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+
+    if (simulationRef.current) {
+      clearTimeout(simulationRef.current.timeoutId);
+      simulationRef.current.resolve();
+      simulationRef.current = null;
+    }
+
+    setMessages(prev =>
+      prev.map(msg =>
+        msg.id === streamingMessageId && msg.content
+          ? syncAttempt({ ...msg, stopped: true })
+          : msg
+      )
+    );
+  };
+
   const createNewChat = async () => {
     if (!newMessage.trim()) return;
 
+    const userQuery = newMessage.trim();
+    const chatTitle =
+      newChatTitle.trim() || `Chat ${new Date().toLocaleString()}`;
+    const documentIds = newChatDocumentIds;
+    const tempChatId = `temp-${Date.now()}`;
+
     try {
       setSendingMessage(true);
       setError("");
 
-      const userQuery = newMessage.trim();
-      const chatTitle =
-        newChatTitle.trim() || `Chat ${new Date().toLocaleString()}`;
-
-      console.log(
-        "Creating new chat with query:",
-        userQuery,
-        "Title:",
-        chatTitle
-      );
-
       // Create user message immediately
       const userMessage = {
         id: `user-${Date.now()}`,
@@ -249,14 +532,13 @@ export default function ChatInterface() {
         role: "assistant",
         content: "",
         createdAt: new Date().toISOString(),
-        fullContent: "", // Store the complete response
       };
 
       // Create chat object
-      const tempChatId = `temp-${Date.now()}`;
       const newChatObject = {
         id: tempChatId,
         title: chatTitle,
+        documentIds,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
@@ -267,19 +549,25 @@ export default function ChatInterface() {
       setMessages([userMessage, assistantMessage]);
       setNewMessage("");
       setNewChatTitle("");
+      setNewChatDocumentIds([]);
       setShowNewChatForm(false);
-      setStreamingMessageId(assistantMessageId);
+      const signal = startGeneration(assistantMessageId);
 
       // Close sidebar on mobile after creating chat
       if (window.innerWidth < 768) {
         setSidebarOpen(false);
       }
 
-      // Get response from API
-      const response = await apiService.createChat(userQuery, chatTitle);
+      // Get response from API, streaming tokens into the placeholder
+      const response = await apiService.createChatStream(
+        userQuery,
+        chatTitle,
+        appendToken(assistantMessageId),
+        { signal, documentIds }
+      );
 
       if (response && response.success && response.data) {
-        const { chatId, query, answer, messageId } = response.data;
+        const { chatId } = response.data;
 
         // Update with real chat ID
         const updatedChat = { ...newChatObject, id: chatId };
@@ -287,33 +575,37 @@ export default function ChatInterface() {
           prev.map(chat => (chat.id === tempChatId ? updatedChat : chat))
         );
         setActiveChat(updatedChat);
+        navigate(`/chat/${chatId}`, { replace: true });
 
-        // Start frontend streaming simulation
-        setMessages(prev =>
-          prev.map(msg =>
-            msg.id === assistantMessageId
-              ? {
-                  ...msg,
-                  id: messageId,
-                  fullContent: answer,
-                  content: "", // Start with empty content for streaming
-                }
-              : msg
-          )
+        await finalizeAssistantMessage(
+          assistantMessageId,
+          response.data,
+          response.streamed,
+          userMessage.id
         );
-
-        console.log("New chat created successfully");
       } else {
         throw new Error("Invalid response format");
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        // The chat id only arrives with the answer: drop the temporary chat,
+        // restore the form and resync with whatever the server kept
+        setChats(prev => prev.filter(chat => chat.id !== tempChatId));
+        setActiveChat(null);
+        setMessages([]);
+        setNewMessage(userQuery);
+        setNewChatTitle(chatTitle);
+        setNewChatDocumentIds(documentIds);
+        setShowNewChatForm(true);
+        loadChats();
+        return;
+      }
       console.error("Error creating chat:", error);
       setError("Failed to create chat: " + error.message);
       // Remove the placeholder message on error
       setMessages(prev => prev.slice(0, -1));
-      setStreamingMessageId(null);
     } finally {
-      setSendingMessage(false);
+      endGeneration();
     }
   };
 
@@ -321,18 +613,12 @@ export default function ChatInterface() {
     if (!newMessage.trim() || !activeChat) return;
 
     const userQuery = newMessage.trim();
+    const assistantMessageId = `assistant-${Date.now()}`;
 
     try {
       setSendingMessage(true);
       setError("");
 
-      console.log(
-        "Sending message to chat:",
-        activeChat.id,
-        "Query:",
-        userQuery
-      );
-
       // Create user message immediately
       const userMessage = {
         id: `user-${Date.now()}`,
@@ -342,62 +628,272 @@ export default function ChatInterface() {
       };
 
       // Create placeholder assistant message for streaming
-      const assistantMessageId = `assistant-${Date.now()}`;
       const assistantMessage = {
         id: assistantMessageId,
         role: "assistant",
         content: "",
         createdAt: new Date().toISOString(),
-        fullContent: "", // Store the complete response
       };
 
       // Add messages to UI
       setMessages(prev => [...prev, userMessage, assistantMessage]);
       setNewMessage("");
-      setStreamingMessageId(assistantMessageId);
+      const signal = startGeneration(assistantMessageId);
 
-      // Send to API
-      const response = await apiService.sendMessage(activeChat.id, userQuery);
-      console.log("Send message API response:", response);
+      // Send to API, streaming tokens into the placeholder
+      const response = await apiService.sendMessageStream(
+        activeChat.id,
+        userQuery,
+        appendToken(assistantMessageId),
+        { signal, documentIds: activeChat.documentIds }
+      );
 
       if (response && response.success && response.data) {
-        const { answer, messageId } = response.data;
-
-        // Start frontend streaming simulation
-        setMessages(prev =>
-          prev.map(msg =>
-            msg.id === assistantMessageId
-              ? {
-                  ...msg,
-                  id: messageId,
-                  fullContent: answer,
-                  content: "", // Start with empty content for streaming
-                }
-              : msg
-          )
+        await finalizeAssistantMessage(
+          assistantMessageId,
+          response.data,
+          response.streamed,
+          userMessage.id
         );
-
-        console.log("Message sent successfully");
       } else {
         throw new Error("Invalid response format");
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        // Keep whatever was generated before the user stopped
+        setMessages(prev =>
+          prev.filter(msg => msg.id !== assistantMessageId || msg.content)
+        );
+        return;
+      }
       console.error("Error sending message:", error);
       setError("Failed to send message: " + error.message);
 
       // Remove failed messages
       setMessages(prev => prev.slice(0, -2));
       setNewMessage(userQuery);
-      setStreamingMessageId(null);
     } finally {
-      setSendingMessage(false);
+      endGeneration();
     }
   };
 
-  const handleStreamComplete = useCallback(messageId => {
-    setStreamingMessageId(null);
-    console.log("Streaming completed for message:", messageId);
-  }, []);
+  // Re-ask the query behind an assistant message, keeping earlier attempts
+  const regenerateResponse = async assistantMessageId => {
+    if (!activeChat || sendingMessage) return;
+
+    const index = messages.findIndex(msg => msg.id === assistantMessageId);
+    const userMessage = messages
+      .slice(0, index)
+      .reverse()
+      .find(msg => msg.role === "user");
+    if (index === -1 || !userMessage) return;
+
+    const previous = messages[index];
+    const attempts = previous.attempts || [toAttempt(previous)];
+    const placeholderId = `assistant-${Date.now()}`;
+
+    try {
+      setSendingMessage(true);
+      setError("");
+
+      setMessages(prev =>
+        prev.map(msg =>
+          msg.id === assistantMessageId
+            ? {
+                ...msg,
+                id: placeholderId,
+                content: "",
+                context: undefined,
+                stopped: false,
+                attempts,
+                attemptIndex: attempts.length,
+              }
+            : msg
+        )
+      );
+      const signal = startGeneration(placeholderId);
+
+      const response = await apiService.sendMessageStream(
+        activeChat.id,
+        userMessage.content,
+        appendToken(placeholderId),
+        {
+          signal,
+          documentIds: activeChat.documentIds,
+          regenerateMessageId: assistantMessageId,
+        }
+      );
+
+      if (response && response.success && response.data) {
+        await finalizeAssistantMessage(
+          placeholderId,
+          response.data,
+          response.streamed
+        );
+      } else {
+        throw new Error("Invalid response format");
+      }
+    } catch (error) {
+      const aborted = isAbortError(error);
+      if (!aborted) {
+        console.error("Error regenerating response:", error);
+        setError("Failed to regenerate response: " + error.message);
+      }
+
+      // Fall back to the last complete attempt unless a partial one was kept
+      setMessages(prev =>
+        prev.map(msg =>
+          msg.id === placeholderId && (!aborted || !msg.content)
+            ? showAttempt(msg, attempts.length - 1)
+            : msg
+        )
+      );
+    } finally {
+      endGeneration();
+    }
+  };
+
+  const switchAttempt = (messageId, attemptIndex) => {
+    setMessages(prev =>
+      prev.map(msg =>
+        msg.id === messageId ? showAttempt(msg, attemptIndex) : msg
+      )
+    );
+  };
+
+  const startEditing = message => {
+    setEditingMessageId(message.id);
+    setEditDraft(message.content);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setEditDraft("");
+  };
+
+  // Re-submit an edited question; the old tail of the chat becomes a branch
+  const submitEdit = async messageId => {
+    const query = editDraft.trim();
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (!query || index === -1 || !activeChat || sendingMessage) return;
+
+    const previousMessages = messages;
+    const original = messages[index];
+    const branches = original.branches ? [...original.branches] : [];
+    branches[original.branchIndex ?? 0] = [
+      stripBranches(original),
+      ...messages.slice(index + 1),
+    ];
+
+    const userMessage = {
+      id: `user-${Date.now()}`,
+      role: "user",
+      content: query,
+      createdAt: new Date().toISOString(),
+    };
+    const assistantMessageId = `assistant-${Date.now()}`;
+    const assistantMessage = {
+      id: assistantMessageId,
+      role: "assistant",
+      content: "",
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      setSendingMessage(true);
+      setError("");
+      cancelEditing();
+
+      setMessages([
+        ...messages.slice(0, index),
+        {
+          ...userMessage,
+          branches: [...branches, [userMessage]],
+          branchIndex: branches.length,
+        },
+        assistantMessage,
+      ]);
+      const signal = startGeneration(assistantMessageId);
+
+      const response = await apiService.sendMessageStream(
+        activeChat.id,
+        query,
+        appendToken(assistantMessageId),
+        {
+          signal,
+          documentIds: activeChat.documentIds,
+          editMessageId: original.id,
+        }
+      );
+
+      if (response && response.success && response.data) {
+        await finalizeAssistantMessage(
+          assistantMessageId,
+          response.data,
+          response.streamed,
+          userMessage.id
+        );
+      } else {
+        throw new Error("Invalid response format");
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        // Keep whatever was generated before the user stopped
+        setMessages(prev =>
+          prev.filter(msg => msg.id !== assistantMessageId || msg.content)
+        );
+        return;
+      }
+      console.error("Error editing message:", error);
+      setError("Failed to edit message: " + error.message);
+      setMessages(previousMessages);
+    } finally {
+      endGeneration();
+    }
+  };
+
+  const switchBranch = (messageId, branchIndex) => {
+    setMessages(prev => {
+      const headIndex = prev.findIndex(msg => msg.id === messageId);
+      return headIndex === -1 ? prev : showBranch(prev, headIndex, branchIndex);
+    });
+  };
+
+  const handleEditKeyDown = (e, messageId) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      submitEdit(messageId);
+    } else if (e.key === "Escape") {
+      cancelEditing();
+    }
+  };
+
+  // Sources panel state per message: undefined (closed) or the active citation
+  const toggleSources = messageId => {
+    setExpandedSources(prev => {
+      const next = { ...prev };
+      if (messageId in next) {
+        delete next[messageId];
+      } else {
+        next[messageId] = null;
+      }
+      return next;
+    });
+  };
+
+  // Highlight the cited source and open its document at the referenced page
+  const openCitation = (messageId, source) => {
+    setExpandedSources(prev => ({ ...prev, [messageId]: source.index }));
+    if (source.documentId) {
+      navigate(
+        getDocumentViewerPath(source.documentId, {
+          page: source.page,
+          highlight: source.snippet,
+        }),
+        { state: { backgroundLocation: location } }
+      );
+    }
+  };
 
   const handleKeyPress = e => {
     if (e.key === "Enter" && !e.shiftKey) {
@@ -421,6 +917,7 @@ export default function ChatInterface() {
       if (activeChat?.id === chatId) {
         setActiveChat(null);
         setMessages([]);
+        navigate("/chat", { replace: true });
       }
     } catch (error) {
       console.error("Error deleting chat:", error);
@@ -433,8 +930,13 @@ export default function ChatInterface() {
     setMessages([]);
     setNewMessage("");
     setNewChatTitle("");
+    setNewChatDocumentIds([]);
+    setFocusedMessageId(null);
     setError("");
     setShowNewChatForm(true);
+    if (routeChatId) {
+      navigate("/chat");
+    }
     // Close sidebar on mobile when starting new chat
     if (window.innerWidth < 768) {
       setSidebarOpen(false);
@@ -445,6 +947,7 @@ export default function ChatInterface() {
     setShowNewChatForm(false);
     setNewMessage("");
     setNewChatTitle("");
+    setNewChatDocumentIds([]);
   };
 
   const handleNewChatKeyPress = e => {
@@ -454,6 +957,69 @@ export default function ChatInterface() {
     }
   };
 
+  // Streaming placeholder exists but no tokens have arrived yet
+  const awaitingFirstToken = messages.some(
+    msg => msg.id === streamingMessageId && !msg.content
+  );
+
+  // Sidebar search: titles filter instantly, message bodies once indexed
+  const searchQuery = chatSearch.trim();
+  const messageMatches = {};
+  if (searchQuery && searchIndex) {
+    searchIndex.forEach(chat => {
+      const matches = (chat.messages || [])
+        .filter(msg =>
+          msg.content?.toLowerCase().includes(searchQuery.toLowerCase())
+        )
+        .slice(0, 3)
+        .map(msg => ({
+          messageId: msg.id,
+          snippet: getSearchSnippet(msg.content, searchQuery),
+        }));
+      if (matches.length > 0) messageMatches[chat.id] = matches;
+    });
+  }
+  const visibleChats = searchQuery
+    ? chats.filter(
+        chat =>
+          chat?.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
+          messageMatches[chat?.id]
+      )
+    : chats;
+
+  // Sidebar sections: pinned first, then folders A-Z, then everything else
+  const folders = [
+    ...new Set(chats.map(chat => chat?.folder).filter(Boolean)),
+  ].sort((a, b) => a.localeCompare(b));
+  const chatGroups = [
+    {
+      key: "pinned",
+      label: "Pinned",
+      chats: visibleChats.filter(chat => chat?.id && chat.pinned),
+    },
+    ...folders.map(folder => ({
+      key: `folder:${folder}`,
+      label: folder,
+      chats: visibleChats.filter(
+        chat => chat?.id && !chat.pinned && chat.folder === folder
+      ),
+    })),
+  ].filter(group => group.chats.length > 0);
+  const ungroupedChats = visibleChats.filter(
+    chat => chat?.id && !chat.pinned && !chat.folder
+  );
+  if (ungroupedChats.length > 0) {
+    chatGroups.push({
+      key: "ungrouped",
+      label: chatGroups.length > 0 ? "Chats" : null,
+      chats: ungroupedChats,
+    });
+  }
+
+  const lastAssistantMessage = [...messages]
+    .reverse()
+    .find(msg => msg.role === "assistant");
+
   return (
     <div className="h-screen max-h-[100vh] md:max-h-[70vh] flex bg-white dark:bg-gray-800 rounded-none md:rounded-lg shadow overflow-hidden border-0 md:border dark:border-gray-700 relative">
       {/* Mobile Overlay */}
@@ -530,6 +1096,34 @@ export default function ChatInterface() {
           >
             + New Chat
           </button>
+
+          <div className="relative mt-3">
+            <input
+              type="search"
+              className="w-full border border-gray-300 dark:border-gray-600 rounded-md pl-8 pr-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+              placeholder="Search chats and messages..."
+              value={chatSearch}
+              onChange={e => setChatSearch(e.target.value)}
+            />
+            <svg
+              className="absolute left-2.5 top-2.5 h-4 w-4 text-gray-400 dark:text-gray-500"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth="2"
+                d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
+              />
+            </svg>
+            {searchQuery && searchLoading && (
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Searching messages...
+              </p>
+            )}
+          </div>
         </div>
 
         {/* Error Display */}
@@ -546,54 +1140,40 @@ export default function ChatInterface() {
         )}
 
         <div className="flex-1 overflow-y-auto">
-          {Array.isArray(chats) && chats.length > 0 ? (
-            chats.map(chat => {
-              if (!chat || !chat.id) return null;
+          {Array.isArray(visibleChats) && visibleChats.length > 0 ? (
+            chatGroups.map(group => {
+              const collapsed = !searchQuery && collapsedGroups[group.key];
 
               return (
-                <div
-                  key={chat.id}
-                  onClick={() => handleChatSelect(chat.id)}
-                  className={`p-4 border-b border-gray-100 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${
-                    activeChat?.id === chat.id
-                      ? "bg-indigo-50 dark:bg-indigo-900/20 border-l-4 border-l-indigo-500"
-                      : ""
-                  }`}
-                >
-                  <div className="flex justify-between items-start">
-                    <div className="flex-1 min-w-0">
-                      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                        {chat.title || "Untitled Chat"}
-                      </p>
-                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                        {chat.createdAt
-                          ? new Date(chat.createdAt).toLocaleString()
-                          : ""}
-                      </p>
-                    </div>
+                <div key={group.key}>
+                  {group.label && (
                     <button
-                      onClick={e => {
-                        e.stopPropagation();
-                        deleteChat(chat.id);
-                      }}
-                      className="ml-2 text-gray-400 dark:text-gray-500 hover:text-red-600 dark:hover:text-red-400"
-                      title="Delete chat"
+                      type="button"
+                      onClick={() => toggleGroup(group.key)}
+                      className="w-full flex items-center justify-between px-4 py-2 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-900/40 border-b border-gray-100 dark:border-gray-700 hover:text-gray-700 dark:hover:text-gray-200"
                     >
-                      <svg
-                        className="h-4 w-4"
-                        fill="none"
-                        stroke="currentColor"
-                        viewBox="0 0 24 24"
-                      >
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth="2"
-                          d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-                        />
-                      </svg>
+                      <span className="truncate">
+                        {collapsed ? "▸" : "▾"} {group.label}
+                      </span>
+                      <span className="ml-2 font-normal">
+                        {group.chats.length}
+                      </span>
                     </button>
-                  </div>
+                  )}
+                  {!collapsed &&
+                    group.chats.map(chat => (
+                      <ChatListItem
+                        key={chat.id}
+                        chat={chat}
+                        active={activeChat?.id === chat.id}
+                        searchQuery={searchQuery}
+                        messageMatches={messageMatches[chat.id]}
+                        folders={folders}
+                        onSelect={handleChatSelect}
+                        onUpdate={updateChatDetails}
+                        onDelete={deleteChat}
+                      />
+                    ))}
                 </div>
               );
             })
@@ -619,10 +1199,18 @@ export default function ChatInterface() {
                       d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"
                     />
                   </svg>
-                  <p className="mt-2 text-sm">No chats yet</p>
-                  <p className="text-xs text-gray-400 dark:text-gray-500">
-                    Start a conversation below
-                  </p>
+                  {searchQuery ? (
+                    <p className="mt-2 text-sm">
+                      No chats match "{searchQuery}"
+                    </p>
+                  ) : (
+                    <>
+                      <p className="mt-2 text-sm">No chats yet</p>
+                      <p className="text-xs text-gray-400 dark:text-gray-500">
+                        Start a conversation below
+                      </p>
+                    </>
+                  )}
                 </>
               )}
             </div>
@@ -667,8 +1255,76 @@ export default function ChatInterface() {
               )}
             </div>
           </div>
+          <div className="flex items-center space-x-2">
+            {activeChat && !showNewChatForm && (
+              <ChatShareMenu
+                chat={activeChat}
+                onShareChange={handleShareChange}
+                onError={setError}
+              />
+            )}
+            <ChatExportMenu
+              chatId={activeChat?.id}
+              hasChats={chats.length > 0}
+              onError={setError}
+            />
+          </div>
         </div>
 
+        {/* Document scope */}
+        {activeChat && !showNewChatForm && (
+          <div className="relative px-4 py-2 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center gap-2 text-xs">
+            <span className="text-gray-500 dark:text-gray-400">Searching:</span>
+            {activeChat.documentIds?.length > 0 ? (
+              activeChat.documentIds.map(documentId => (
+                <span
+                  key={documentId}
+                  className="inline-flex items-center px-2 py-1 rounded-full bg-indigo-100 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-300 max-w-[12rem]"
+                >
+                  <span className="truncate">
+                    {getDocumentName(documentId)}
+                  </span>
+                  <button
+                    onClick={() =>
+                      updateChatScope(
+                        activeChat.documentIds.filter(id => id !== documentId)
+                      )
+                    }
+                    disabled={sendingMessage}
+                    className="ml-1 hover:text-indigo-600 dark:hover:text-indigo-100 disabled:opacity-50"
+                    title="Remove from scope"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))
+            ) : (
+              <span className="inline-flex px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                All documents
+              </span>
+            )}
+            <button
+              onClick={() => setShowScopeEditor(prev => !prev)}
+              disabled={sendingMessage}
+              className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300 disabled:opacity-50"
+            >
+              {showScopeEditor ? "Done" : "Edit scope"}
+            </button>
+
+            {showScopeEditor && (
+              <div className="absolute left-4 right-4 top-full mt-1 z-20 shadow-lg">
+                <DocumentPicker
+                  documents={documents}
+                  selectedIds={activeChat.documentIds || []}
+                  onChange={updateChatScope}
+                  loading={documentsLoading}
+                  disabled={sendingMessage}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Messages */}
         <div className="flex-1 overflow-y-auto p-3 md:p-4 space-y-4">
           {showNewChatForm ? (
@@ -700,6 +1356,19 @@ export default function ChatInterface() {
                     </p>
                   </div>
 
+                  <div>
+                    <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Documents to Search (Optional)
+                    </span>
+                    <DocumentPicker
+                      documents={documents}
+                      selectedIds={newChatDocumentIds}
+                      onChange={setNewChatDocumentIds}
+                      loading={documentsLoading}
+                      disabled={sendingMessage}
+                    />
+                  </div>
+
                   <div>
                     <label
                       htmlFor="firstMessage"
@@ -784,10 +1453,15 @@ export default function ChatInterface() {
               if (!message || !message.content) return null;
 
               const isStreaming = message.id === streamingMessageId;
+              const sources =
+                message.role === "assistant"
+                  ? normalizeSources(message.context || message.sources)
+                  : [];
 
               return (
                 <div
                   key={message.id || index}
+                  id={`message-${message.id}`}
                   className={`flex ${
                     message.role === "user" ? "justify-end" : "justify-start"
                   }`}
@@ -797,32 +1471,133 @@ export default function ChatInterface() {
                       message.role === "user"
                         ? "bg-indigo-600 dark:bg-indigo-600 text-white"
                         : "bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white"
+                    } ${
+                      focusedMessageId === message.id
+                        ? "ring-2 ring-yellow-400 dark:ring-yellow-500"
+                        : ""
                     }`}
                   >
-                    {message.role === "user" ? (
+                    {message.role === "user" &&
+                    editingMessageId === message.id ? (
+                      <div className="space-y-2">
+                        <textarea
+                          className="w-full min-w-[16rem] resize-none border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                          rows="3"
+                          value={editDraft}
+                          onChange={e => setEditDraft(e.target.value)}
+                          onKeyDown={e => handleEditKeyDown(e, message.id)}
+                          autoFocus
+                        />
+                        <div className="flex justify-end space-x-2">
+                          <button
+                            onClick={cancelEditing}
+                            className="px-3 py-1 rounded-md text-xs font-medium text-indigo-100 hover:text-white"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={() => submitEdit(message.id)}
+                            disabled={!editDraft.trim()}
+                            className="px-3 py-1 rounded-md text-xs font-medium bg-white text-indigo-700 hover:bg-indigo-50 disabled:opacity-50"
+                          >
+                            Save & Submit
+                          </button>
+                        </div>
+                      </div>
+                    ) : message.role === "user" ? (
                       <p className="text-sm whitespace-pre-wrap">
                         {message.content}
                       </p>
                     ) : (
                       <MessageContent
-                        content={message.fullContent || message.content}
+                        content={message.content}
                         isStreaming={isStreaming}
-                        onStreamComplete={() =>
-                          handleStreamComplete(message.id)
+                        citationCount={sources.length}
+                        onCitationClick={index =>
+                          openCitation(message.id, sources[index - 1])
                         }
                       />
                     )}
-                    <p
-                      className={`text-xs mt-2 ${
+                    {!isStreaming && (
+                      <MessageSources
+                        messageId={message.id}
+                        sources={sources}
+                        open={message.id in expandedSources}
+                        activeIndex={expandedSources[message.id]}
+                        onToggle={() => toggleSources(message.id)}
+                      />
+                    )}
+                    <div
+                      className={`flex items-center justify-between text-xs mt-2 ${
                         message.role === "user"
                           ? "text-indigo-200 dark:text-indigo-300"
                           : "text-gray-500 dark:text-gray-400"
                       }`}
                     >
-                      {message.createdAt
-                        ? new Date(message.createdAt).toLocaleTimeString()
-                        : ""}
-                    </p>
+                      <span>
+                        {message.createdAt
+                          ? new Date(message.createdAt).toLocaleTimeString()
+                          : ""}
+                        {message.stopped && " · stopped"}
+                      </span>
+
+                      {message.role === "user" &&
+                        editingMessageId !== message.id && (
+                          <div className="flex items-center space-x-2 ml-3">
+                            {message.branches?.length > 1 && (
+                              <VersionSwitcher
+                                index={message.branchIndex}
+                                total={message.branches.length}
+                                label="branch"
+                                disabled={sendingMessage}
+                                onChange={branchIndex =>
+                                  switchBranch(message.id, branchIndex)
+                                }
+                              />
+                            )}
+                            {activeChat && !sendingMessage && (
+                              <button
+                                onClick={() => startEditing(message)}
+                                disabled={isLocalMessageId(message.id)}
+                                className="hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                                title={
+                                  isLocalMessageId(message.id)
+                                    ? "Reload the chat to edit this message"
+                                    : "Edit message"
+                                }
+                              >
+                                ✎ Edit
+                              </button>
+                            )}
+                          </div>
+                        )}
+
+                      {message.role === "assistant" && !isStreaming && (
+                        <div className="flex items-center space-x-2 ml-3">
+                          {message.attempts?.length > 1 && (
+                            <VersionSwitcher
+                              index={message.attemptIndex}
+                              total={message.attempts.length}
+                              label="attempt"
+                              disabled={sendingMessage}
+                              onChange={attemptIndex =>
+                                switchAttempt(message.id, attemptIndex)
+                              }
+                            />
+                          )}
+                          {message.id === lastAssistantMessage?.id &&
+                            !sendingMessage && (
+                              <button
+                                onClick={() => regenerateResponse(message.id)}
+                                className="hover:text-gray-900 dark:hover:text-white"
+                                title="Regenerate response"
+                              >
+                                ↻ Regenerate
+                              </button>
+                            )}
+                        </div>
+                      )}
+                    </div>
                   </div>
                 </div>
               );
@@ -831,7 +1606,7 @@ export default function ChatInterface() {
 
           {sendingMessage &&
             !showNewChatForm &&
-            streamingMessageId === null && (
+            (streamingMessageId === null || awaitingFirstToken) && (
               <div className="flex justify-start">
                 <div className="bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white px-4 py-2 rounded-lg">
                   <div className="flex items-center space-x-2">
@@ -861,57 +1636,68 @@ export default function ChatInterface() {
                 onKeyPress={handleKeyPress}
                 disabled={sendingMessage || !activeChat}
               />
-              <button
-                onClick={activeChat ? sendMessage : startNewChat}
-                disabled={(!newMessage.trim() && activeChat) || sendingMessage}
-                className={`px-3 md:px-4 py-2 rounded-md text-sm font-medium transition-colors ${
-                  (!newMessage.trim() && activeChat) || sendingMessage
-                    ? "bg-gray-300 dark:bg-gray-600 text-gray-500 dark:text-gray-400 cursor-not-allowed"
-                    : "bg-indigo-600 dark:bg-indigo-600 text-white hover:bg-indigo-700 dark:hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 dark:focus:ring-offset-gray-800"
-                }`}
-              >
-                {sendingMessage ? (
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                ) : activeChat ? (
-                  <span className="hidden sm:inline">Send</span>
-                ) : (
-                  <span className="hidden sm:inline">New Chat</span>
-                )}
-                {/* Mobile icons */}
-                {!sendingMessage && (
-                  <>
-                    {activeChat ? (
-                      <svg
-                        className="h-4 w-4 sm:hidden"
-                        fill="none"
-                        stroke="currentColor"
-                        viewBox="0 0 24 24"
-                      >
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth="2"
-                          d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"
-                        />
-                      </svg>
-                    ) : (
-                      <svg
-                        className="h-4 w-4 sm:hidden"
-                        fill="none"
-                        stroke="currentColor"
-                        viewBox="0 0 24 24"
-                      >
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth="2"
-                          d="M12 6v6m0 0v6m0-6h6m-6 0H6"
-                        />
-                      </svg>
-                    )}
-                  </>
-                )}
-              </button>
+              {sendingMessage ? (
+                <button
+                  onClick={stopGeneration}
+                  className="px-3 md:px-4 py-2 rounded-md text-sm font-medium transition-colors bg-red-600 dark:bg-red-600 text-white hover:bg-red-700 dark:hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 dark:focus:ring-offset-gray-800 flex items-center"
+                  title="Stop generating"
+                >
+                  <svg
+                    className="h-4 w-4 sm:mr-1"
+                    fill="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <rect x="6" y="6" width="12" height="12" rx="1" />
+                  </svg>
+                  <span className="hidden sm:inline">Stop</span>
+                </button>
+              ) : (
+                <button
+                  onClick={activeChat ? sendMessage : startNewChat}
+                  disabled={!newMessage.trim() && activeChat}
+                  className={`px-3 md:px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+                    !newMessage.trim() && activeChat
+                      ? "bg-gray-300 dark:bg-gray-600 text-gray-500 dark:text-gray-400 cursor-not-allowed"
+                      : "bg-indigo-600 dark:bg-indigo-600 text-white hover:bg-indigo-700 dark:hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 dark:focus:ring-offset-gray-800"
+                  }`}
+                >
+                  {activeChat ? (
+                    <span className="hidden sm:inline">Send</span>
+                  ) : (
+                    <span className="hidden sm:inline">New Chat</span>
+                  )}
+                  {/* Mobile icons */}
+                  {activeChat ? (
+                    <svg
+                      className="h-4 w-4 sm:hidden"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth="2"
+                        d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"
+                      />
+                    </svg>
+                  ) : (
+                    <svg
+                      className="h-4 w-4 sm:hidden"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth="2"
+                        d="M12 6v6m0 0v6m0-6h6m-6 0H6"
+                      />
+                    </svg>
+                  )}
+                </button>
+              )}
             </div>
 
             <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
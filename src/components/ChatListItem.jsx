@@ -0,0 +1,214 @@
+// src/components/ChatListItem.jsx - Sidebar chat entry with inline rename, pin and folder controls
+import React, { useState } from "react";
+
+// Case-insensitive highlight of every occurrence of `query` in `text`
+const HighlightedText = ({ text, query }) => {
+  if (!query || !text) return text || null;
+
+  const pattern = new RegExp(
+    `(${query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})`,
+    "gi"
+  );
+  return text.split(pattern).map((part, index) =>
+    part.toLowerCase() === query.toLowerCase() ? (
+      <mark
+        key={index}
+        className="bg-yellow-200 dark:bg-yellow-600/50 text-inherit rounded-sm"
+      >
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+const ActionButton = ({ title, onClick, className = "", children }) => (
+  <button
+    type="button"
+    onClick={e => {
+      e.stopPropagation();
+      onClick();
+    }}
+    className={`p-1 text-gray-400 dark:text-gray-500 ${className}`}
+    title={title}
+  >
+    <svg
+      className="h-4 w-4"
+      fill="none"
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+    >
+      {children}
+    </svg>
+  </button>
+);
+
+export default function ChatListItem({
+  chat,
+  active,
+  searchQuery,
+  messageMatches = [],
+  folders,
+  onSelect,
+  onUpdate,
+  onDelete,
+}) {
+  const [editingField, setEditingField] = useState(null);
+  const [draft, setDraft] = useState("");
+
+  const startEditing = (field, value) => {
+    setEditingField(field);
+    setDraft(value || "");
+  };
+
+  const commitEdit = () => {
+    if (!editingField) return;
+
+    const value = draft.trim();
+    if (editingField === "title" && value && value !== chat.title) {
+      onUpdate(chat.id, { title: value });
+    }
+    if (editingField === "folder" && value !== (chat.folder || "")) {
+      onUpdate(chat.id, { folder: value || null });
+    }
+    setEditingField(null);
+  };
+
+  const handleEditKeyDown = e => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      commitEdit();
+    } else if (e.key === "Escape") {
+      setEditingField(null);
+    }
+  };
+
+  const editInput = (placeholder, listId) => (
+    <input
+      type="text"
+      autoFocus
+      value={draft}
+      list={listId}
+      placeholder={placeholder}
+      onChange={e => setDraft(e.target.value)}
+      onKeyDown={handleEditKeyDown}
+      onBlur={commitEdit}
+      onClick={e => e.stopPropagation()}
+      className="w-full border border-gray-300 dark:border-gray-600 rounded px-2 py-1 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+    />
+  );
+
+  return (
+    <div
+      onClick={() => onSelect(chat.id)}
+      className={`group p-4 border-b border-gray-100 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${
+        active
+          ? "bg-indigo-50 dark:bg-indigo-900/20 border-l-4 border-l-indigo-500"
+          : ""
+      }`}
+    >
+      <div className="flex justify-between items-start">
+        <div className="flex-1 min-w-0">
+          {editingField === "title" ? (
+            editInput("Chat title")
+          ) : (
+            <p
+              className="text-sm font-medium text-gray-900 dark:text-white truncate"
+              onDoubleClick={e => {
+                e.stopPropagation();
+                startEditing("title", chat.title);
+              }}
+            >
+              <HighlightedText
+                text={chat.title || "Untitled Chat"}
+                query={searchQuery}
+              />
+            </p>
+          )}
+          {editingField === "folder" ? (
+            <div className="mt-1">
+              {editInput("Folder name (empty to remove)", `folders-${chat.id}`)}
+              <datalist id={`folders-${chat.id}`}>
+                {folders.map(folder => (
+                  <option key={folder} value={folder} />
+                ))}
+              </datalist>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {chat.createdAt ? new Date(chat.createdAt).toLocaleString() : ""}
+            </p>
+          )}
+          {messageMatches.map(match => (
+            <button
+              key={match.messageId}
+              onClick={e => {
+                e.stopPropagation();
+                onSelect(chat.id, match.messageId);
+              }}
+              className="block w-full text-left mt-1 text-xs text-gray-600 dark:text-gray-300 hover:text-indigo-600 dark:hover:text-indigo-400 line-clamp-2"
+            >
+              <HighlightedText text={match.snippet} query={searchQuery} />
+            </button>
+          ))}
+        </div>
+
+        <div className="ml-2 flex items-center md:opacity-0 md:group-hover:opacity-100 focus-within:opacity-100">
+          <ActionButton
+            title={chat.pinned ? "Unpin chat" : "Pin chat"}
+            onClick={() => onUpdate(chat.id, { pinned: !chat.pinned })}
+            className={
+              chat.pinned
+                ? "text-indigo-500 dark:text-indigo-400"
+                : "hover:text-indigo-600 dark:hover:text-indigo-400"
+            }
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"
+            />
+          </ActionButton>
+          <ActionButton
+            title="Rename chat"
+            onClick={() => startEditing("title", chat.title)}
+            className="hover:text-gray-700 dark:hover:text-gray-300"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"
+            />
+          </ActionButton>
+          <ActionButton
+            title="Move to folder"
+            onClick={() => startEditing("folder", chat.folder)}
+            className="hover:text-gray-700 dark:hover:text-gray-300"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z"
+            />
+          </ActionButton>
+          <ActionButton
+            title="Delete chat"
+            onClick={() => onDelete(chat.id)}
+            className="hover:text-red-600 dark:hover:text-red-400"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+            />
+          </ActionButton>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+// src/components/ChatShareMenu.jsx - Create, copy and revoke a chat's read-only share link
+import React, { useState, useEffect, useRef } from "react";
+import apiService from "../services/apiService";
+
+export const getShareUrl = token => `${window.location.origin}/share/${token}`;
+
+export default function ChatShareMenu({ chat, onShareChange, onError }) {
+  const [open, setOpen] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = e => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const createShare = async () => {
+    try {
+      setWorking(true);
+      const response = await apiService.createChatShare(chat.id);
+      const token = response.data?.token || response.data?.shareToken;
+      if (!token) {
+        throw new Error("Invalid share response from server");
+      }
+      onShareChange(chat.id, token);
+    } catch (error) {
+      console.error("Create share link error:", error);
+      onError("Failed to create share link: " + error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const revokeShare = async () => {
+    if (
+      !window.confirm(
+        "Revoke this link? Anyone who has it will no longer be able to view the chat."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      await apiService.revokeChatShare(chat.id);
+      onShareChange(chat.id, null);
+    } catch (error) {
+      console.error("Revoke share link error:", error);
+      onError("Failed to revoke share link: " + error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(chat.shareToken));
+      setCopied(true);
+    } catch (error) {
+      console.error("Copy share link error:", error);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className={`inline-flex items-center px-3 py-1.5 border rounded-md text-sm hover:bg-gray-50 dark:hover:bg-gray-700 ${
+          chat.shareToken
+            ? "border-indigo-300 dark:border-indigo-600 text-indigo-700 dark:text-indigo-300"
+            : "border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300"
+        }`}
+        title="Share chat"
+      >
+        <svg
+          className="h-4 w-4 mr-1"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z"
+          />
+        </svg>
+        {chat.shareToken ? "Shared" : "Share"}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 w-80 z-30 rounded-md shadow-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 p-3 text-sm">
+          {chat.shareToken ? (
+            <>
+              <p className="text-gray-700 dark:text-gray-300 mb-2">
+                Anyone with this link can view this chat and its sources.
+              </p>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={getShareUrl(chat.shareToken)}
+                  onFocus={e => e.target.select()}
+                  className="flex-1 min-w-0 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-xs bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white"
+                />
+                <button
+                  onClick={copyLink}
+                  className="px-2 py-1 rounded-md text-xs font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+                >
+                  {copied ? "Copied!" : "Copy"}
+                </button>
+              </div>
+              <button
+                onClick={revokeShare}
+                disabled={working}
+                className="mt-3 text-xs text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 disabled:opacity-50"
+              >
+                {working ? "Revoking..." : "Revoke link"}
+              </button>
+            </>
+          ) : (
+            <>
+              <p className="text-gray-700 dark:text-gray-300 mb-3">
+                Create a read-only link to this chat. Viewers don't need an
+                account and can't send messages.
+              </p>
+              <button
+                onClick={createShare}
+                disabled={working}
+                className="w-full px-3 py-1.5 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {working ? "Creating link..." : "Create link"}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
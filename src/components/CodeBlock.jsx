@@ -0,0 +1,103 @@
+// src/components/CodeBlock.jsx - Syntax highlighted code block with copy and wrap controls
+import React, { useState, useEffect } from "react";
+import { Highlight, themes } from "prism-react-renderer";
+import { useTheme } from "../context/ThemeContext";
+
+// Best-effort guess for fences without a language tag
+const guessLanguage = code => {
+  const trimmed = code.trim();
+
+  if (/^[{[]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return "json";
+    } catch (e) {
+      // Not JSON, keep guessing
+    }
+  }
+  if (/^<[a-zA-Z!?]/.test(trimmed)) return "markup";
+  if (/^\s*(SELECT|INSERT|UPDATE|DELETE|CREATE|ALTER)\s/im.test(code)) {
+    return "sql";
+  }
+  if (/^\s*(def |class \w+.*:$|from \S+ import |import \w+$)/m.test(code)) {
+    return "python";
+  }
+  if (/\b(const|let|var|function|return)\b|=>/.test(code)) return "javascript";
+  return "text";
+};
+
+export default function CodeBlock({ code, language }) {
+  const { isDark } = useTheme();
+  const [copied, setCopied] = useState(false);
+  const [wrap, setWrap] = useState(false);
+
+  const resolvedLanguage = (language || guessLanguage(code)).toLowerCase();
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch (error) {
+      console.error("Copy code error:", error);
+    }
+  };
+
+  return (
+    <div className="my-2 rounded-md border border-gray-200 dark:border-gray-600 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1 text-xs bg-gray-200 dark:bg-gray-900 text-gray-600 dark:text-gray-400">
+        <span className="font-mono">{language || resolvedLanguage}</span>
+        <div className="flex items-center space-x-3">
+          <button
+            type="button"
+            onClick={() => setWrap(prev => !prev)}
+            className="hover:text-gray-900 dark:hover:text-white"
+            title={wrap ? "Disable line wrap" : "Enable line wrap"}
+          >
+            {wrap ? "No wrap" : "Wrap"}
+          </button>
+          <button
+            type="button"
+            onClick={handleCopy}
+            className="hover:text-gray-900 dark:hover:text-white"
+            title="Copy code"
+          >
+            {copied ? "Copied!" : "Copy"}
+          </button>
+        </div>
+      </div>
+
+      <Highlight
+        theme={isDark ? themes.vsDark : themes.github}
+        code={code}
+        language={resolvedLanguage}
+      >
+        {({ className, style, tokens, getLineProps, getTokenProps }) => (
+          <pre
+            className={`${className} p-3 text-sm ${
+              wrap
+                ? "whitespace-pre-wrap break-words"
+                : "whitespace-pre overflow-x-auto"
+            }`}
+            style={style}
+          >
+            <code>
+              {tokens.map((line, lineIndex) => (
+                <div key={lineIndex} {...getLineProps({ line })}>
+                  {line.map((token, tokenIndex) => (
+                    <span key={tokenIndex} {...getTokenProps({ token })} />
+                  ))}
+                </div>
+              ))}
+            </code>
+          </pre>
+        )}
+      </Highlight>
+    </div>
+  );
+}
@@ -1,17 +1,13 @@
 // src/components/Dashboard.jsx - Updated with dark theme
 import React, { useState, useEffect } from "react";
+import { NavLink, Outlet } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { useTheme } from "../context/ThemeContext";
 import apiService from "../services/apiService";
-import DocumentUpload from "./DocumentUpload";
-import DocumentList from "./DocumentList";
-import ChatInterface from "./ChatInterface";
-import HealthMonitor from "./HealthMonitor";
 import ThemeToggle from "./ThemeToggle";
 
 export default function Dashboard() {
   const { user, signOut } = useAuth();
-  const [activeTab, setActiveTab] = useState("documents");
   const [stats, setStats] = useState(null);
 
   useEffect(() => {
@@ -44,9 +40,9 @@ export default function Dashboard() {
   };
 
   const tabs = [
-    { id: "documents", name: "Documents", icon: "📄" },
-    { id: "chat", name: "Chat", icon: "🤖" },
-    { id: "health", name: "System Health", icon: "🏥" },
+    { path: "/documents", name: "Documents", icon: "📄" },
+    { path: "/chat", name: "Chat", icon: "🤖" },
+    { path: "/health", name: "System Health", icon: "🏥" },
   ];
 
   return (
@@ -118,37 +114,27 @@ export default function Dashboard() {
         <div className="border-b border-gray-200 dark:border-gray-700">
           <nav className="-mb-px flex space-x-8" aria-label="Tabs">
             {tabs.map(tab => (
-              <button
-                key={tab.id}
-                onClick={() => setActiveTab(tab.id)}
-                className={`${
-                  activeTab === tab.id
-                    ? "border-indigo-500 text-indigo-600 dark:text-indigo-400"
-                    : "border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:border-gray-300 dark:hover:border-gray-600"
-                } whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm flex items-center space-x-2`}
+              <NavLink
+                key={tab.path}
+                to={tab.path}
+                className={({ isActive }) =>
+                  `${
+                    isActive
+                      ? "border-indigo-500 text-indigo-600 dark:text-indigo-400"
+                      : "border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:border-gray-300 dark:hover:border-gray-600"
+                  } whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm flex items-center space-x-2`
+                }
               >
                 <span>{tab.icon}</span>
                 <span>{tab.name}</span>
-              </button>
+              </NavLink>
             ))}
           </nav>
         </div>
 
-        {/* Tab Content */}
+        {/* Tab Content (/documents, /chat/:chatId?, /health) */}
         <div className="py-6">
-          {activeTab === "documents" && (
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-              <div className="lg:col-span-1">
-                <DocumentUpload onUploadComplete={loadStats} />
-              </div>
-              <div className="lg:col-span-2">
-                <DocumentList />
-              </div>
-            </div>
-          )}
-
-          {activeTab === "chat" && <ChatInterface />}
-          {activeTab === "health" && <HealthMonitor />}
+          <Outlet context={{ onUploadComplete: loadStats }} />
         </div>
       </div>
     </div>
@@ -0,0 +1,148 @@
+// src/components/DocumentBulkBar.jsx - Actions for the documents selected in the list
+import React, { useState } from "react";
+
+const buttonClassName =
+  "px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50";
+
+export default function DocumentBulkBar({
+  count,
+  progress,
+  tags = [],
+  collections = [],
+  onDelete,
+  onReprocess,
+  onTag,
+  onMove,
+  onDownload,
+  onClear,
+}) {
+  // "tag" or "move" while its input is showing
+  const [prompt, setPrompt] = useState(null);
+  const [value, setValue] = useState("");
+
+  const busy = Boolean(progress);
+
+  const openPrompt = name => {
+    setPrompt(prev => (prev === name ? null : name));
+    setValue("");
+  };
+
+  const submitPrompt = e => {
+    e.preventDefault();
+    const trimmed = value.trim();
+    if (prompt === "tag" && trimmed) onTag(trimmed);
+    // An empty collection moves documents back to the top level
+    if (prompt === "move") onMove(trimmed.replace(/^\/+|\/+$/g, ""));
+    setPrompt(null);
+  };
+
+  return (
+    <div className="mb-4 p-3 rounded-md bg-indigo-50 dark:bg-indigo-900/30 border border-indigo-200 dark:border-indigo-800">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-indigo-900 dark:text-indigo-200 mr-2">
+          {count} selected
+        </span>
+        <button onClick={onDelete} disabled={busy} className={buttonClassName}>
+          Delete
+        </button>
+        <button
+          onClick={onReprocess}
+          disabled={busy}
+          className={buttonClassName}
+        >
+          Reprocess
+        </button>
+        <button
+          onClick={() => openPrompt("tag")}
+          disabled={busy}
+          className={buttonClassName}
+        >
+          Add tag
+        </button>
+        <button
+          onClick={() => openPrompt("move")}
+          disabled={busy}
+          className={buttonClassName}
+        >
+          Move to…
+        </button>
+        <button
+          onClick={onDownload}
+          disabled={busy}
+          className={buttonClassName}
+        >
+          Download ZIP
+        </button>
+        <button
+          onClick={onClear}
+          disabled={busy}
+          className="ml-auto text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300 disabled:opacity-50"
+        >
+          Clear selection
+        </button>
+      </div>
+
+      {prompt && !busy && (
+        <form onSubmit={submitPrompt} className="mt-3 flex items-center gap-2">
+          <input
+            type="text"
+            autoFocus
+            list={`bulk-${prompt}-options`}
+            value={value}
+            onChange={e => setValue(e.target.value)}
+            placeholder={
+              prompt === "tag"
+                ? "Tag to add"
+                : "Collection, e.g. Reports/2024 (empty for none)"
+            }
+            className="flex-1 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1.5 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+          <datalist id={`bulk-${prompt}-options`}>
+            {(prompt === "tag" ? tags : collections).map(option => (
+              <option key={option} value={option} />
+            ))}
+          </datalist>
+          <button
+            type="submit"
+            disabled={prompt === "tag" && !value.trim()}
+            className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {prompt === "tag" ? "Add tag" : "Move"}
+          </button>
+          <button
+            type="button"
+            onClick={() => setPrompt(null)}
+            className="text-sm text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {progress && (
+        <div className="mt-3">
+          <div className="flex justify-between text-xs text-indigo-900 dark:text-indigo-200 mb-1">
+            <span>{progress.label}...</span>
+            {progress.total > 0 && (
+              <span>
+                {progress.done} of {progress.total}
+              </span>
+            )}
+          </div>
+          <div className="bg-indigo-100 dark:bg-indigo-900 rounded-full h-1.5">
+            <div
+              className="bg-indigo-600 dark:bg-indigo-400 h-1.5 rounded-full transition-all duration-300"
+              style={{
+                width: `${
+                  progress.total > 0
+                    ? (progress.done / progress.total) * 100
+                    : 0
+                }%`,
+              }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,455 @@
+// src/components/DocumentDetail.jsx - Document metadata, processing history, extracted chunks and usage
+import React, { useState, useEffect, useCallback } from "react";
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
+import apiService from "../services/apiService";
+import { getDocumentViewerPath } from "./DocumentViewer";
+import FileTypeIcon from "./FileTypeIcon";
+import DocumentVersions from "./DocumentVersions";
+import { getDocumentTags, getDocumentTitle } from "../utils/documents";
+import {
+  getStageLabel,
+  isProcessingStatus,
+  watchDocumentStatus,
+} from "../services/documentStatus";
+
+const CHUNK_PAGE_SIZE = 20;
+
+const STATUS_CLASSES = {
+  completed:
+    "bg-green-100 dark:bg-green-900/50 text-green-800 dark:text-green-300",
+  processing:
+    "bg-yellow-100 dark:bg-yellow-900/50 text-yellow-800 dark:text-yellow-300",
+  failed: "bg-red-100 dark:bg-red-900/50 text-red-800 dark:text-red-300",
+  pending: "bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-300",
+};
+
+// Chunk embedding states share the document colours
+const EMBEDDING_CLASSES = {
+  embedded: STATUS_CLASSES.completed,
+  pending: STATUS_CLASSES.pending,
+  failed: STATUS_CLASSES.failed,
+};
+
+const formatDateTime = value =>
+  value ? new Date(value).toLocaleString() : "—";
+
+const formatSize = bytes =>
+  bytes ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : "Unknown";
+
+const sectionClassName =
+  "bg-white dark:bg-gray-800 rounded-lg shadow border dark:border-gray-700 p-6";
+
+export default function DocumentDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [doc, setDoc] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [history, setHistory] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [chunks, setChunks] = useState([]);
+  const [chunkTotal, setChunkTotal] = useState(0);
+  const [embeddedCount, setEmbeddedCount] = useState(null);
+  const [chunksLoading, setChunksLoading] = useState(false);
+  const [chunksError, setChunksError] = useState("");
+
+  const loadDocument = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError("");
+      const response = await apiService.getDocument(id);
+      setDoc(response.data?.document || response.data);
+    } catch (err) {
+      console.error("Load document error:", err);
+      setError("Failed to load document: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+
+    // History and usage are extras; the page still works without them
+    apiService
+      .getDocumentHistory(id)
+      .then(response =>
+        setHistory(response.data?.history || response.data || [])
+      )
+      .catch(err => console.error("Load document history error:", err));
+    apiService
+      .getDocumentUsage(id)
+      .then(response => setUsage(response.data || null))
+      .catch(err => console.error("Load document usage error:", err));
+  }, [id]);
+
+  const loadChunks = useCallback(
+    async page => {
+      try {
+        setChunksLoading(true);
+        setChunksError("");
+        const response = await apiService.getDocumentChunks(id, {
+          page,
+          limit: CHUNK_PAGE_SIZE,
+        });
+        const pageChunks = response.data?.chunks || response.data || [];
+        setChunks(prev => (page === 1 ? pageChunks : [...prev, ...pageChunks]));
+        setChunkTotal(response.data?.total ?? pageChunks.length);
+        setEmbeddedCount(response.data?.embedded ?? null);
+      } catch (err) {
+        console.error("Load document chunks error:", err);
+        setChunksError("Failed to load extracted text: " + err.message);
+      } finally {
+        setChunksLoading(false);
+      }
+    },
+    [id]
+  );
+
+  useEffect(() => {
+    setDoc(null);
+    setHistory([]);
+    setUsage(null);
+    setChunks([]);
+    loadDocument();
+    loadChunks(1);
+  }, [id, loadDocument, loadChunks]);
+
+  // Keep the page current while ingestion runs, then refresh what it produced
+  const processing = isProcessingStatus(doc?.processingStatus);
+  useEffect(() => {
+    if (!processing) return;
+    const controller = new AbortController();
+
+    watchDocumentStatus(
+      id,
+      update =>
+        setDoc(prev => ({
+          ...prev,
+          processingStatus: update.status,
+          processingStage: update.stage,
+          processingProgress: update.progress,
+          processingError: update.error,
+        })),
+      { signal: controller.signal }
+    )
+      .then(() => {
+        loadDocument();
+        loadChunks(1);
+      })
+      .catch(err => {
+        if (err.name !== "AbortError") {
+          console.error("Document status polling error:", err);
+        }
+      });
+
+    return () => controller.abort();
+  }, [id, processing, loadDocument, loadChunks]);
+
+  const chatWithDocument = () => {
+    navigate("/chat", {
+      state: {
+        documentIds: [doc.id],
+        title: `About ${getDocumentTitle(doc)}`,
+      },
+    });
+  };
+
+  if (loading && !doc) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 dark:border-indigo-400"></div>
+        <span className="ml-3 text-gray-600 dark:text-gray-400">
+          Loading document...
+        </span>
+      </div>
+    );
+  }
+
+  if (!doc) {
+    return (
+      <div className={sectionClassName}>
+        <div className="bg-red-100 dark:bg-red-900/50 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded">
+          {error || "Document not found"}
+        </div>
+        <Link
+          to="/documents"
+          className="mt-4 inline-block text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+        >
+          ← Back to documents
+        </Link>
+      </div>
+    );
+  }
+
+  const status = doc.processingStatus || "pending";
+  const tags = getDocumentTags(doc);
+  const metadata = [
+    ["File name", doc.name || doc.fileName],
+    ["Type", doc.contentType],
+    ["Size", formatSize(doc.fileSize)],
+    ["Version", doc.version ?? 1],
+    ["Folder", doc.collection || "—"],
+    ["Pages", doc.pageCount ?? "—"],
+    ["Uploaded", formatDateTime(doc.createdAt)],
+    ["Last updated", formatDateTime(doc.updatedAt)],
+    ["SHA-256", doc.contentHash || "—"],
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className={sectionClassName}>
+        <Link
+          to="/documents"
+          className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+        >
+          ← Documents
+        </Link>
+        <div className="mt-2 flex flex-wrap items-start justify-between gap-4">
+          <div className="flex items-start min-w-0">
+            <FileTypeIcon doc={doc} className="h-8 w-8 mr-3 mt-1" />
+            <div className="min-w-0">
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white break-words">
+                {getDocumentTitle(doc)}
+              </h2>
+              {doc.description && (
+                <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                  {doc.description}
+                </p>
+              )}
+              <div className="mt-2 flex flex-wrap items-center gap-2">
+                <span
+                  className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                    STATUS_CLASSES[status] || STATUS_CLASSES.pending
+                  }`}
+                >
+                  {status}
+                  {processing && doc.processingStage && (
+                    <span className="ml-1 font-normal">
+                      · {getStageLabel(doc.processingStage)}
+                    </span>
+                  )}
+                </span>
+                {tags.map(tag => (
+                  <Link
+                    key={tag}
+                    to={`/documents?tag=${encodeURIComponent(tag)}`}
+                    className="px-2 py-0.5 rounded-full text-xs bg-indigo-50 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-300 hover:bg-indigo-100 dark:hover:bg-indigo-900/70"
+                  >
+                    {tag}
+                  </Link>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex items-center space-x-3">
+            <Link
+              to={getDocumentViewerPath(doc.id)}
+              state={{ backgroundLocation: location }}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+            >
+              Open
+            </Link>
+            <button
+              onClick={chatWithDocument}
+              disabled={status !== "completed"}
+              className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              title={
+                status === "completed"
+                  ? "Start a chat that only searches this document"
+                  : "Available once processing has finished"
+              }
+            >
+              Chat with this document
+            </button>
+          </div>
+        </div>
+
+        {status === "failed" && doc.processingError && (
+          <div className="mt-4 bg-red-100 dark:bg-red-900/50 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 px-3 py-2 rounded text-sm break-words">
+            {doc.processingError}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-6">
+          {/* Metadata */}
+          <div className={sectionClassName}>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              Details
+            </h3>
+            <dl className="space-y-2 text-sm">
+              {metadata.map(([label, value]) => (
+                <div key={label} className="flex justify-between gap-4">
+                  <dt className="text-gray-500 dark:text-gray-400 flex-shrink-0">
+                    {label}
+                  </dt>
+                  <dd className="text-gray-900 dark:text-white text-right break-all">
+                    {value}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+
+          <DocumentVersions
+            doc={doc}
+            onChanged={() => {
+              loadDocument();
+              loadChunks(1);
+            }}
+          />
+
+          {/* Usage */}
+          <div className={sectionClassName}>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              Usage
+            </h3>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <p className="text-2xl font-semibold text-indigo-600 dark:text-indigo-400">
+                  {usage?.chatCount ?? "—"}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Chats citing it
+                </p>
+              </div>
+              <div>
+                <p className="text-2xl font-semibold text-indigo-600 dark:text-indigo-400">
+                  {usage?.citationCount ?? "—"}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Citations
+                </p>
+              </div>
+            </div>
+          </div>
+
+          {/* Processing history */}
+          <div className={sectionClassName}>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              Processing history
+            </h3>
+            {history.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                No processing events recorded.
+              </p>
+            ) : (
+              <ol className="border-l border-gray-200 dark:border-gray-700 space-y-4">
+                {history.map((event, index) => (
+                  <li key={event.id || index} className="ml-4">
+                    <div
+                      className={`-ml-[1.3rem] mt-1.5 h-2.5 w-2.5 rounded-full float-left ${
+                        event.status === "failed"
+                          ? "bg-red-500"
+                          : event.status === "completed"
+                          ? "bg-green-500"
+                          : "bg-gray-400 dark:bg-gray-500"
+                      }`}
+                    />
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      {event.stage ? getStageLabel(event.stage) : event.status}
+                    </p>
+                    {event.message && (
+                      <p className="text-sm text-gray-600 dark:text-gray-400 break-words">
+                        {event.message}
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatDateTime(event.createdAt)}
+                    </p>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </div>
+
+        {/* Extracted chunks */}
+        <div className={`${sectionClassName} lg:col-span-2`}>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+              Extracted text
+            </h3>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {chunkTotal} chunks
+              {embeddedCount !== null && ` · ${embeddedCount} embedded`}
+            </span>
+          </div>
+
+          {chunksError && (
+            <div className="mb-4 bg-red-100 dark:bg-red-900/50 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded">
+              {chunksError}
+            </div>
+          )}
+
+          {!chunksLoading && !chunksError && chunks.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {processing
+                ? "Text will appear here once processing finishes."
+                : "No text was extracted from this document."}
+            </p>
+          )}
+
+          <ul className="space-y-3">
+            {chunks.map((chunk, index) => (
+              <li
+                key={chunk.id || index}
+                className="p-3 rounded-md border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40"
+              >
+                <div className="flex items-center gap-2 mb-1 text-xs">
+                  <span className="font-medium text-gray-700 dark:text-gray-300">
+                    #{(chunk.index ?? index) + 1}
+                  </span>
+                  {chunk.page && (
+                    <Link
+                      to={getDocumentViewerPath(doc.id, {
+                        page: chunk.page,
+                        highlight: chunk.text,
+                      })}
+                      state={{ backgroundLocation: location }}
+                      className="text-indigo-600 dark:text-indigo-400 hover:underline"
+                      title="Show this passage in the document"
+                    >
+                      Page {chunk.page}
+                    </Link>
+                  )}
+                  {chunk.embeddingStatus && (
+                    <span
+                      className={`ml-auto px-2 py-0.5 rounded-full ${
+                        EMBEDDING_CLASSES[chunk.embeddingStatus] ||
+                        EMBEDDING_CLASSES.pending
+                      }`}
+                    >
+                      {chunk.embeddingStatus}
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap break-words">
+                  {chunk.text}
+                </p>
+              </li>
+            ))}
+          </ul>
+
+          {chunksLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600 dark:border-indigo-400"></div>
+            </div>
+          ) : (
+            chunks.length < chunkTotal && (
+              <button
+                onClick={() =>
+                  loadChunks(Math.floor(chunks.length / CHUNK_PAGE_SIZE) + 1)
+                }
+                className="mt-4 w-full py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                Show more ({chunkTotal - chunks.length} left)
+              </button>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,263 @@
+// src/components/DocumentEditDrawer.jsx - Side panel for editing a document's title, tags, description and collection
+import React, { useState, useEffect } from "react";
+import apiService from "../services/apiService";
+import { getDocumentTags, normalizeTag } from "../utils/documents";
+
+export default function DocumentEditDrawer({
+  document: doc,
+  allTags = [],
+  collections = [],
+  onClose,
+  onSaved,
+}) {
+  const [title, setTitle] = useState(doc.title || doc.name || "");
+  const [description, setDescription] = useState(doc.description || "");
+  const [collection, setCollection] = useState(doc.collection || "");
+  const [tags, setTags] = useState(getDocumentTags(doc));
+  const [tagInput, setTagInput] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const handleKeyDown = e => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const addTag = value => {
+    const tag = normalizeTag(value);
+    if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+      setTags(prev => [...prev, tag]);
+    }
+    setTagInput("");
+  };
+
+  const removeTag = tag => {
+    setTags(prev => prev.filter(t => t !== tag));
+  };
+
+  const handleTagKeyDown = e => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTag(tagInput);
+    } else if (e.key === "Backspace" && !tagInput && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    // A tag still being typed counts too
+    const pendingTag = normalizeTag(tagInput);
+    const finalTags =
+      pendingTag &&
+      !tags.some(t => t.toLowerCase() === pendingTag.toLowerCase())
+        ? [...tags, pendingTag]
+        : tags;
+
+    const changes = {
+      title: title.trim() || null,
+      description: description.trim() || null,
+      tags: finalTags,
+      collection: collection.trim().replace(/^\/+|\/+$/g, "") || null,
+    };
+
+    try {
+      setSaving(true);
+      setError("");
+      const response = await apiService.updateDocument(doc.id, changes);
+      const updated = response.data?.document || response.data;
+      onSaved(updated?.id ? updated : { ...doc, ...changes });
+    } catch (err) {
+      console.error("Update document error:", err);
+      setError("Failed to save changes: " + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const suggestedTags = allTags.filter(
+    tag => !tags.some(t => t.toLowerCase() === tag.toLowerCase())
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div
+        className="absolute inset-0 bg-black bg-opacity-50"
+        onClick={onClose}
+      />
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative w-full max-w-md h-full flex flex-col bg-white dark:bg-gray-800 shadow-xl border-l dark:border-gray-700"
+      >
+        {/* Header */}
+        <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <div className="min-w-0">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+              Edit document
+            </h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+              {doc.name}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-400"
+            title="Close"
+          >
+            <svg
+              className="h-5 w-5"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth="2"
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        {/* Fields */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {error && (
+            <div className="bg-red-100 dark:bg-red-900/50 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded text-sm">
+              {error}
+            </div>
+          )}
+
+          <div>
+            <label
+              htmlFor="document-title"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Title
+            </label>
+            <input
+              id="document-title"
+              type="text"
+              value={title}
+              onChange={e => setTitle(e.target.value)}
+              placeholder={doc.name}
+              className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="document-description"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Description
+            </label>
+            <textarea
+              id="document-description"
+              rows={4}
+              value={description}
+              onChange={e => setDescription(e.target.value)}
+              className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="document-tags"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Tags
+            </label>
+            <div className="flex flex-wrap items-center gap-1 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1.5 bg-white dark:bg-gray-700 focus-within:ring-1 focus-within:ring-indigo-500 focus-within:border-indigo-500">
+              {tags.map(tag => (
+                <span
+                  key={tag}
+                  className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-indigo-100 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-300"
+                >
+                  {tag}
+                  <button
+                    type="button"
+                    onClick={() => removeTag(tag)}
+                    className="ml-1 text-indigo-500 hover:text-indigo-700 dark:hover:text-indigo-200"
+                    title={`Remove ${tag}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+              <input
+                id="document-tags"
+                type="text"
+                list="document-tag-options"
+                value={tagInput}
+                onChange={e => setTagInput(e.target.value)}
+                onKeyDown={handleTagKeyDown}
+                onBlur={() => tagInput && addTag(tagInput)}
+                placeholder={tags.length === 0 ? "Add tags..." : ""}
+                className="flex-1 min-w-[6rem] border-0 p-1 text-sm focus:outline-none focus:ring-0 bg-transparent text-gray-900 dark:text-white"
+              />
+              <datalist id="document-tag-options">
+                {suggestedTags.map(tag => (
+                  <option key={tag} value={tag} />
+                ))}
+              </datalist>
+            </div>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Press Enter or comma to add a tag
+            </p>
+          </div>
+
+          <div>
+            <label
+              htmlFor="document-collection"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Collection
+            </label>
+            <input
+              id="document-collection"
+              type="text"
+              list="document-collection-options"
+              value={collection}
+              onChange={e => setCollection(e.target.value)}
+              placeholder="e.g. Reports/2024"
+              className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <datalist id="document-collection-options">
+              {collections.map(path => (
+                <option key={path} value={path} />
+              ))}
+            </datalist>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Use / to nest folders
+            </p>
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+// src/components/DocumentFilters.jsx - Search box and filters above the document list
+import React, { useState, useEffect, useRef } from "react";
+import { DEFAULT_FILE_TYPES } from "../config/fileTypes";
+import { loadSupportedFileTypes } from "../services/supportedFileTypes";
+
+const STATUS_OPTIONS = ["pending", "processing", "completed", "failed"];
+
+const SEARCH_DEBOUNCE = 300;
+
+// URL parameters that narrow the list; sort and paging live alongside them
+export const FILTER_KEYS = [
+  "q",
+  "status",
+  "type",
+  "from",
+  "to",
+  "minSize",
+  "maxSize",
+  "collection",
+  "tag",
+];
+
+const inputClassName =
+  "border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1.5 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white";
+
+export default function DocumentFilters({
+  filters,
+  onChange,
+  collections = [],
+  tags = [],
+}) {
+  const [search, setSearch] = useState(filters.q);
+  const [fileTypes, setFileTypes] = useState(DEFAULT_FILE_TYPES);
+  // The debounced search must merge into the URL as it is when it fires,
+  // not as it was when typing started
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    loadSupportedFileTypes().then(setFileTypes);
+  }, []);
+
+  // Follow the URL when it changes from outside (back button, tag click)
+  useEffect(() => {
+    setSearch(filters.q);
+  }, [filters.q]);
+
+  // Only hit the server once typing pauses
+  useEffect(() => {
+    if (search === filters.q) return;
+    const timeout = setTimeout(
+      () => onChangeRef.current({ q: search.trim() }),
+      SEARCH_DEBOUNCE
+    );
+    return () => clearTimeout(timeout);
+  }, [search, filters.q]);
+
+  const hasFilters = FILTER_KEYS.some(key => filters[key]);
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[12rem]">
+          <svg
+            className="absolute left-2 top-2 h-4 w-4 text-gray-400 dark:text-gray-500"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
+            />
+          </svg>
+          <input
+            type="search"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            placeholder="Search by name..."
+            className={`${inputClassName} w-full pl-8`}
+          />
+        </div>
+
+        <select
+          value={filters.status}
+          onChange={e => onChange({ status: e.target.value })}
+          className={inputClassName}
+          title="Filter by status"
+        >
+          <option value="">Any status</option>
+          {STATUS_OPTIONS.map(status => (
+            <option key={status} value={status}>
+              {status}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filters.type}
+          onChange={e => onChange({ type: e.target.value })}
+          className={inputClassName}
+          title="Filter by file type"
+        >
+          <option value="">Any type</option>
+          {fileTypes.map(type => (
+            <option key={type.id} value={type.id}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+
+        {tags.length > 0 && (
+          <select
+            value={filters.tag}
+            onChange={e => onChange({ tag: e.target.value })}
+            className={inputClassName}
+            title="Filter by tag"
+          >
+            <option value="">All tags</option>
+            {tags.map(tag => (
+              <option key={tag} value={tag}>
+                {tag}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {collections.length > 0 && (
+          <select
+            value={filters.collection}
+            onChange={e => onChange({ collection: e.target.value })}
+            className={inputClassName}
+            title="Filter by folder"
+          >
+            <option value="">All folders</option>
+            {collections.map(path => {
+              const depth = path.split("/").length - 1;
+              return (
+                <option key={path} value={path}>
+                  {"\u00a0\u00a0".repeat(depth)}
+                  {path.slice(path.lastIndexOf("/") + 1)}
+                </option>
+              );
+            })}
+          </select>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+        <span>Uploaded</span>
+        <input
+          type="date"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={e => onChange({ from: e.target.value })}
+          className={inputClassName}
+          aria-label="Uploaded from"
+        />
+        <span>to</span>
+        <input
+          type="date"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={e => onChange({ to: e.target.value })}
+          className={inputClassName}
+          aria-label="Uploaded to"
+        />
+
+        <span className="ml-2">Size</span>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={filters.minSize}
+          onChange={e => onChange({ minSize: e.target.value })}
+          placeholder="Min"
+          className={`${inputClassName} w-20`}
+          aria-label="Minimum size in MB"
+        />
+        <span>–</span>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={filters.maxSize}
+          onChange={e => onChange({ maxSize: e.target.value })}
+          placeholder="Max"
+          className={`${inputClassName} w-20`}
+          aria-label="Maximum size in MB"
+        />
+        <span>MB</span>
+
+        {hasFilters && (
+          <button
+            onClick={() =>
+              onChange(Object.fromEntries(FILTER_KEYS.map(key => [key, ""])))
+            }
+            className="ml-auto text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
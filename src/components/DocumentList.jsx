@@ -1,34 +1,287 @@
 // src/components/DocumentList.jsx - Fixed to use direct S3 URL for downloads
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { Link, useLocation, useSearchParams } from "react-router-dom";
 import apiService from "../services/apiService";
+import { getDocumentViewerPath } from "./DocumentViewer";
+import FileTypeIcon from "./FileTypeIcon";
+import DocumentEditDrawer from "./DocumentEditDrawer";
+import DocumentFilters, { FILTER_KEYS } from "./DocumentFilters";
+import DocumentBulkBar from "./DocumentBulkBar";
+import ReprocessDialog from "./ReprocessDialog";
+import { getCollectionTree } from "../utils/fileTree";
+import {
+  getAllTags,
+  getDocumentTags,
+  getDocumentTitle,
+  hasTag,
+} from "../utils/documents";
+import {
+  downloadDocumentsZip,
+  fetchAllMatching,
+  runBulk,
+} from "../services/bulkDocuments";
+import {
+  getStageLabel,
+  isProcessingStatus,
+  watchDocumentStatus,
+} from "../services/documentStatus";
 
-export default function DocumentList() {
+const PAGE_SIZES = [25, 50, 100];
+// How long a bulk delete can still be undone before it is sent
+const UNDO_GRACE_PERIOD = 10000;
+const DEFAULTS = { sort: "createdAt", order: "desc", page: 1, limit: 25 };
+
+// Everything that shapes the list lives in the URL so views can be shared
+// and survive a reload
+const readListState = searchParams => {
+  const state = {};
+  FILTER_KEYS.forEach(key => {
+    state[key] = searchParams.get(key) || "";
+  });
+  state.sort = searchParams.get("sort") || DEFAULTS.sort;
+  state.order = searchParams.get("order") === "asc" ? "asc" : "desc";
+  state.page = Math.max(1, Number(searchParams.get("page")) || DEFAULTS.page);
+  state.limit = PAGE_SIZES.includes(Number(searchParams.get("limit")))
+    ? Number(searchParams.get("limit"))
+    : DEFAULTS.limit;
+  return state;
+};
+
+const megabytesToBytes = value =>
+  value === "" ? undefined : Math.round(Number(value) * 1024 * 1024);
+
+const toApiParams = state => ({
+  page: state.page,
+  limit: state.limit,
+  sort: state.sort,
+  order: state.order,
+  search: state.q,
+  status: state.status,
+  type: state.type,
+  from: state.from,
+  to: state.to,
+  minSize: megabytesToBytes(state.minSize),
+  maxSize: megabytesToBytes(state.maxSize),
+  collection: state.collection,
+  tag: state.tag,
+});
+
+function SortableHeader({ label, field, listState, onSort, className = "" }) {
+  const active = listState.sort === field;
+  return (
+    <th
+      className={`px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider ${className}`}
+      aria-sort={
+        active
+          ? listState.order === "asc"
+            ? "ascending"
+            : "descending"
+          : "none"
+      }
+    >
+      <button
+        onClick={() => onSort(field)}
+        className="inline-flex items-center uppercase tracking-wider hover:text-gray-700 dark:hover:text-gray-200"
+      >
+        {label}
+        <span className={`ml-1 ${active ? "" : "invisible"}`}>
+          {listState.order === "asc" ? "▲" : "▼"}
+        </span>
+      </button>
+    </th>
+  );
+}
+
+export default function DocumentList({ refreshKey }) {
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [deletingIds, setDeletingIds] = useState(new Set());
+  const [editingDoc, setEditingDoc] = useState(null);
+  // { docs, count, bulk } while the reprocess dialog is open
+  const [reprocessTarget, setReprocessTarget] = useState(null);
+  const [total, setTotal] = useState(0);
+  // Tags and folders across all documents, not just this page
+  const [facets, setFacets] = useState({ collections: [], tags: [] });
+  const [searchParams, setSearchParams] = useSearchParams();
+  const location = useLocation();
+  // Selection is by id on this page, or every document matching the filters
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const lastSelectedIndexRef = useRef(null);
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [bulkResult, setBulkResult] = useState(null);
+  // Deleted documents wait here until the undo grace period runs out
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const pendingDeleteRef = useRef(null);
+
+  const listState = readListState(searchParams);
+  const apiParams = toApiParams(listState);
+  const queryKey = JSON.stringify(apiParams);
+  // Status polling reloads later; it must use the filters current by then
+  const apiParamsRef = useRef(apiParams);
+  apiParamsRef.current = apiParams;
+  // Drop responses that arrive after a newer request was made
+  const requestIdRef = useRef(0);
 
   useEffect(() => {
     loadDocuments();
+    clearSelection();
+  }, [queryKey]);
+
+  // Leaving the page or closing the tab doesn't cancel a delete; it just
+  // stops waiting. keepalive lets the requests outlive the page.
+  useEffect(() => {
+    const sendPendingDelete = () => {
+      const pending = pendingDeleteRef.current;
+      if (!pending) return;
+      clearTimeout(pending.timeout);
+      pendingDeleteRef.current = null;
+      pending.docs.forEach(doc =>
+        apiService
+          .deleteDocument(doc.id, { keepalive: true })
+          .catch(err => console.error("Delete document error:", err))
+      );
+    };
+
+    window.addEventListener("beforeunload", sendPendingDelete);
+    return () => {
+      window.removeEventListener("beforeunload", sendPendingDelete);
+      sendPendingDelete();
+    };
   }, []);
 
-  const loadDocuments = async () => {
+  // New uploads: refresh in place without the loading screen
+  useEffect(() => {
+    if (refreshKey) loadDocuments({ silent: true });
+  }, [refreshKey]);
+
+  useEffect(() => {
+    loadFacets();
+  }, [refreshKey]);
+
+  // Follow documents that are still being ingested and reload the list
+  // once one of them finishes
+  const processingIds = documents
+    .filter(doc => isProcessingStatus(doc.processingStatus))
+    .map(doc => doc.id)
+    .join(",");
+
+  useEffect(() => {
+    if (!processingIds) return;
+
+    const controller = new AbortController();
+    processingIds.split(",").forEach(id => {
+      watchDocumentStatus(
+        id,
+        update => {
+          setDocuments(prev =>
+            prev.map(doc =>
+              String(doc.id) === id
+                ? {
+                    ...doc,
+                    processingStatus: update.status,
+                    processingStage: update.stage,
+                    processingProgress: update.progress,
+                    processingError: update.error,
+                  }
+                : doc
+            )
+          );
+        },
+        { signal: controller.signal }
+      )
+        .then(() => loadDocuments({ silent: true }))
+        .catch(err => {
+          if (err.name !== "AbortError") {
+            console.error("Document status polling error:", err);
+          }
+        });
+    });
+
+    return () => controller.abort();
+  }, [processingIds]);
+
+  const loadDocuments = async ({ silent = false } = {}) => {
+    const requestId = ++requestIdRef.current;
     try {
-      setLoading(true);
-      const response = await apiService.getDocuments();
-      console.log("Documents response:", response);
+      if (!silent) setLoading(true);
+      const response = await apiService.getDocuments(apiParamsRef.current);
+      if (requestId !== requestIdRef.current) return;
 
       // Handle different response structures
       const documentsData =
         response.data?.documents || response.data || response;
-      setDocuments(Array.isArray(documentsData) ? documentsData : []);
+      const list = Array.isArray(documentsData) ? documentsData : [];
+      setDocuments(list);
+      setTotal(
+        response.data?.total ?? response.data?.pagination?.total ?? list.length
+      );
       setError("");
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       setError("Failed to load documents");
       console.error("Load documents error:", err);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  };
+
+  const loadFacets = async () => {
+    try {
+      const response = await apiService.getDocumentFacets();
+      setFacets({
+        collections: response.data?.collections || [],
+        tags: response.data?.tags || [],
+      });
+    } catch (err) {
+      console.error("Load document facets error:", err);
+    }
+  };
+
+  // Filter changes go back to the first page; defaults are left out of
+  // the URL to keep it short
+  const updateListState = useCallback(
+    (changes, { resetPage = true } = {}) => {
+      const params = new URLSearchParams(searchParams);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === "" || value === null || value === DEFAULTS[key]) {
+          params.delete(key);
+        } else {
+          params.set(key, value);
+        }
+      });
+      if (resetPage && !("page" in changes)) params.delete("page");
+      setSearchParams(params, { replace: !("page" in changes) });
+    },
+    [searchParams, setSearchParams]
+  );
+
+  // Deleting the last documents on the last page leaves it past the end
+  useEffect(() => {
+    const lastPage = Math.max(1, Math.ceil(total / listState.limit));
+    if (!loading && documents.length === 0 && listState.page > lastPage) {
+      updateListState({ page: lastPage });
     }
+  }, [
+    loading,
+    documents.length,
+    total,
+    listState.limit,
+    listState.page,
+    updateListState,
+  ]);
+
+  const handleSort = field => {
+    updateListState({
+      sort: field,
+      order:
+        listState.sort === field && listState.order === "desc"
+          ? "asc"
+          : field === "name"
+          ? "asc"
+          : "desc",
+    });
   };
 
   const handleDelete = async (id, name) => {
@@ -41,13 +294,11 @@ export default function DocumentList() {
       setDeletingIds(prev => new Set(prev).add(id));
       setError("");
 
-      console.log("Deleting document with ID:", id);
       await apiService.deleteDocument(id);
 
-      // Remove from local state immediately for better UX
+      // Remove from local state immediately for better UX, then refill the page
       setDocuments(prev => prev.filter(doc => doc.id !== id));
-
-      console.log("Document deleted successfully");
+      loadDocuments({ silent: true });
     } catch (err) {
       console.error("Delete error:", err);
       setError(`Failed to delete "${name}": ${err.message}`);
@@ -73,8 +324,6 @@ export default function DocumentList() {
         throw new Error("Document download URL not available");
       }
 
-      console.log("Downloading document:", { id, name, s3Url: doc.s3Url });
-
       // Create a temporary anchor element to trigger download
       const link = document.createElement("a");
       link.href = doc.s3Url;
@@ -90,7 +339,7 @@ export default function DocumentList() {
     }
   };
 
-  const getStatusBadge = status => {
+  const getStatusBadge = (status, doc) => {
     const statusClasses = {
       completed:
         "bg-green-100 dark:bg-green-900/50 text-green-800 dark:text-green-300 border border-green-300 dark:border-green-700",
@@ -109,11 +358,243 @@ export default function DocumentList() {
         }`}
       >
         {status || "pending"}
+        {isProcessingStatus(status) && doc?.processingStage && (
+          <span className="ml-1 font-normal">
+            · {getStageLabel(doc.processingStage)}
+            {doc.processingProgress > 0 &&
+              ` ${Math.round(doc.processingProgress)}%`}
+          </span>
+        )}
       </span>
     );
   };
 
-  if (loading) {
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setSelectAllMatching(false);
+    lastSelectedIndexRef.current = null;
+  };
+
+  // Shift-click applies the clicked box's new state to the whole range
+  // since the previous click
+  const toggleSelected = (index, shiftKey) => {
+    const doc = visibleDocuments[index];
+    const anchor = lastSelectedIndexRef.current;
+    const [start, end] =
+      shiftKey && anchor !== null
+        ? [Math.min(anchor, index), Math.max(anchor, index)]
+        : [index, index];
+
+    setSelectAllMatching(false);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      const select = !prev.has(doc.id);
+      visibleDocuments
+        .slice(start, end + 1)
+        .forEach(d => (select ? next.add(d.id) : next.delete(d.id)));
+      return next;
+    });
+    lastSelectedIndexRef.current = index;
+  };
+
+  const togglePageSelected = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(
+      allOnPageSelected
+        ? new Set()
+        : new Set(visibleDocuments.map(doc => doc.id))
+    );
+  };
+
+  const getSelectedDocuments = async () => {
+    if (!selectAllMatching) {
+      return documents.filter(doc => selectedIds.has(doc.id));
+    }
+    const { page, limit, ...filters } = apiParamsRef.current;
+    return fetchAllMatching(filters);
+  };
+
+  // Run an action over the selection (or the given documents) and report
+  // how many succeeded and which failed
+  const runBulkAction = async (label, pastTense, runner, docs = null) => {
+    try {
+      setBulkResult(null);
+      setBulkProgress({ label, done: 0, total: 0 });
+      const targets = docs || (await getSelectedDocuments());
+      setBulkProgress({ label, done: 0, total: targets.length });
+
+      const { succeeded, failed } = await runner(targets, {
+        onProgress: (done, total) => setBulkProgress({ label, done, total }),
+      });
+      setBulkResult({
+        message: `${pastTense} ${succeeded.length} of ${targets.length} documents.`,
+        failed,
+      });
+      if (!docs) clearSelection();
+      loadDocuments({ silent: true });
+      loadFacets();
+    } catch (err) {
+      console.error(`Bulk ${label} error:`, err);
+      setError(`${label} failed: ${err.message}`);
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  const commitDelete = docs => {
+    pendingDeleteRef.current = null;
+    setPendingDelete(null);
+    runBulkAction(
+      "Deleting",
+      "Deleted",
+      (targets, options) =>
+        runBulk(targets, doc => apiService.deleteDocument(doc.id), options),
+      docs
+    );
+  };
+
+  const handleBulkDelete = async () => {
+    let docs;
+    try {
+      docs = await getSelectedDocuments();
+    } catch (err) {
+      console.error("Load selection error:", err);
+      setError(`Failed to delete: ${err.message}`);
+      return;
+    }
+
+    // Only one delete waits at a time; an earlier one goes through now
+    if (pendingDeleteRef.current) {
+      clearTimeout(pendingDeleteRef.current.timeout);
+      commitDelete(pendingDeleteRef.current.docs);
+    }
+
+    const timeout = setTimeout(() => commitDelete(docs), UNDO_GRACE_PERIOD);
+    pendingDeleteRef.current = { docs, timeout };
+    setPendingDelete({
+      ids: new Set(docs.map(doc => doc.id)),
+      count: docs.length,
+    });
+    setBulkResult(null);
+    clearSelection();
+  };
+
+  const undoDelete = () => {
+    clearTimeout(pendingDeleteRef.current?.timeout);
+    pendingDeleteRef.current = null;
+    setPendingDelete(null);
+  };
+
+  const handleReprocess = async (doc, ingestionOptions) => {
+    try {
+      setError("");
+      await apiService.reprocessDocument(doc.id, doc.s3Key, ingestionOptions);
+      // Back to pending so the status polling picks it up
+      setDocuments(prev =>
+        prev.map(d =>
+          d.id === doc.id
+            ? {
+                ...d,
+                processingStatus: "pending",
+                processingStage: null,
+                processingProgress: null,
+                processingError: null,
+              }
+            : d
+        )
+      );
+    } catch (err) {
+      console.error("Reprocess error:", err);
+      setError(
+        `Failed to reprocess "${getDocumentTitle(doc)}": ${err.message}`
+      );
+    }
+  };
+
+  const handleBulkReprocess = ingestionOptions =>
+    runBulkAction("Reprocessing", "Queued", (docs, options) =>
+      runBulk(
+        docs,
+        doc =>
+          apiService.reprocessDocument(doc.id, doc.s3Key, ingestionOptions),
+        options
+      )
+    );
+
+  const confirmReprocess = ingestionOptions => {
+    const { docs, bulk } = reprocessTarget;
+    setReprocessTarget(null);
+    if (bulk) {
+      handleBulkReprocess(ingestionOptions);
+    } else {
+      handleReprocess(docs[0], ingestionOptions);
+    }
+  };
+
+  const handleBulkTag = tag =>
+    runBulkAction("Tagging", "Tagged", (docs, options) =>
+      runBulk(
+        docs.filter(doc => !hasTag(doc, tag)),
+        doc =>
+          apiService.updateDocument(doc.id, {
+            tags: [...getDocumentTags(doc), tag],
+          }),
+        options
+      ).then(result => ({
+        ...result,
+        // Documents that already had the tag count as done
+        succeeded: docs.filter(
+          doc => !result.failed.some(failure => failure.doc.id === doc.id)
+        ),
+      }))
+    );
+
+  const handleBulkMove = collection =>
+    runBulkAction("Moving", "Moved", (docs, options) =>
+      runBulk(
+        docs,
+        doc =>
+          apiService.updateDocument(doc.id, { collection: collection || null }),
+        options
+      )
+    );
+
+  const handleBulkDownload = () =>
+    runBulkAction("Downloading", "Downloaded", downloadDocumentsZip);
+
+  const handleSaved = updated => {
+    setDocuments(prev =>
+      prev.map(doc => (doc.id === updated.id ? { ...doc, ...updated } : doc))
+    );
+    setEditingDoc(null);
+  };
+
+  const collections = getCollectionTree([
+    ...facets.collections,
+    ...documents.map(doc => doc.collection),
+  ]);
+  const allTags = getAllTags([
+    { tags: facets.tags },
+    ...documents,
+    { tags: [listState.tag] },
+  ]);
+  const firstIndex = (listState.page - 1) * listState.limit;
+  // Documents waiting on the undo timer are already gone as far as the
+  // user is concerned
+  const visibleTotal = Math.max(0, total - (pendingDelete?.count || 0));
+  const pageCount = Math.max(1, Math.ceil(visibleTotal / listState.limit));
+  const hasFilters = FILTER_KEYS.some(key => listState[key]);
+
+  const visibleDocuments = pendingDelete
+    ? documents.filter(doc => !pendingDelete.ids.has(doc.id))
+    : documents;
+  const allOnPageSelected =
+    visibleDocuments.length > 0 &&
+    visibleDocuments.every(doc => selectedIds.has(doc.id));
+  const selectedCount = selectAllMatching ? visibleTotal : selectedIds.size;
+
+  // Keep the table on screen while later pages and filters load
+  if (loading && documents.length === 0 && !hasFilters) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow border dark:border-gray-700 p-6">
         <div className="flex items-center justify-center py-12">
@@ -132,30 +613,35 @@ export default function DocumentList() {
         <h3 className="text-lg font-medium text-gray-900 dark:text-white">
           Documents
         </h3>
-        <button
-          onClick={loadDocuments}
-          disabled={loading}
-          className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 dark:focus:ring-offset-gray-800 disabled:opacity-50"
-        >
-          {loading ? (
-            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current mr-2"></div>
-          ) : (
-            <svg
-              className="h-4 w-4 mr-2"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth="2"
-                d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
-              />
-            </svg>
-          )}
-          Refresh
-        </button>
+        <div className="flex items-center space-x-3">
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            {visibleTotal} documents
+          </span>
+          <button
+            onClick={() => loadDocuments()}
+            disabled={loading}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 dark:focus:ring-offset-gray-800 disabled:opacity-50"
+          >
+            {loading ? (
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current mr-2"></div>
+            ) : (
+              <svg
+                className="h-4 w-4 mr-2"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth="2"
+                  d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+                />
+              </svg>
+            )}
+            Refresh
+          </button>
+        </div>
       </div>
 
       <div className="p-6">
@@ -185,7 +671,120 @@ export default function DocumentList() {
           </div>
         )}
 
-        {documents.length === 0 ? (
+        <DocumentFilters
+          filters={listState}
+          onChange={updateListState}
+          collections={collections}
+          tags={allTags}
+        />
+
+        {/* Undo for a bulk delete that hasn't been sent yet */}
+        {pendingDelete && (
+          <div className="mb-4 p-3 rounded-md flex items-center justify-between bg-gray-800 dark:bg-gray-900 text-sm text-white">
+            <span>
+              Deleted {pendingDelete.count} document
+              {pendingDelete.count === 1 ? "" : "s"}.
+            </span>
+            <button
+              onClick={undoDelete}
+              className="font-medium text-indigo-300 hover:text-indigo-200"
+            >
+              Undo
+            </button>
+          </div>
+        )}
+
+        {bulkResult && (
+          <div
+            className={`mb-4 p-3 rounded-md text-sm border ${
+              bulkResult.failed.length > 0
+                ? "bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-300 border-red-300 dark:border-red-700"
+                : "bg-green-100 dark:bg-green-900/50 text-green-700 dark:text-green-300 border-green-300 dark:border-green-700"
+            }`}
+          >
+            <div className="flex justify-between items-start">
+              <span>
+                {bulkResult.message}
+                {bulkResult.failed.length > 0 &&
+                  ` ${bulkResult.failed.length} failed:`}
+              </span>
+              <button
+                onClick={() => setBulkResult(null)}
+                className="ml-4 hover:opacity-75"
+                title="Dismiss"
+              >
+                ×
+              </button>
+            </div>
+            {bulkResult.failed.length > 0 && (
+              <ul className="mt-1 list-disc list-inside text-xs">
+                {bulkResult.failed.map(({ doc, error }) => (
+                  <li key={doc.id}>
+                    {getDocumentTitle(doc)}: {error}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {(selectedCount > 0 || bulkProgress) && (
+          <DocumentBulkBar
+            count={selectedCount}
+            progress={bulkProgress}
+            tags={allTags}
+            collections={collections}
+            onDelete={handleBulkDelete}
+            onReprocess={() =>
+              setReprocessTarget({
+                docs: selectAllMatching
+                  ? []
+                  : documents.filter(doc => selectedIds.has(doc.id)),
+                count: selectedCount,
+                bulk: true,
+              })
+            }
+            onTag={handleBulkTag}
+            onMove={handleBulkMove}
+            onDownload={handleBulkDownload}
+            onClear={clearSelection}
+          />
+        )}
+
+        {allOnPageSelected && visibleTotal > visibleDocuments.length && (
+          <div className="mb-4 text-sm text-center text-gray-600 dark:text-gray-400">
+            {selectAllMatching ? (
+              <>
+                All {visibleTotal} matching documents are selected.{" "}
+                <button
+                  onClick={clearSelection}
+                  className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300"
+                >
+                  Clear selection
+                </button>
+              </>
+            ) : (
+              <>
+                All {visibleDocuments.length} documents on this page are
+                selected.{" "}
+                <button
+                  onClick={() => setSelectAllMatching(true)}
+                  className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300"
+                >
+                  Select all {visibleTotal} matching documents
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {documents.length === 0 && hasFilters ? (
+          <p className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">
+            {loading
+              ? "Loading documents..."
+              : "No documents match these filters."}
+          </p>
+        ) : documents.length === 0 ? (
           <div className="text-center py-12">
             <svg
               className="mx-auto h-12 w-12 text-gray-400 dark:text-gray-500"
@@ -204,7 +803,7 @@ export default function DocumentList() {
               No documents
             </h3>
             <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-              Get started by uploading your first PDF document.
+              Get started by uploading your first document.
             </p>
           </div>
         ) : (
@@ -212,51 +811,128 @@ export default function DocumentList() {
             <table className="min-w-full divide-y divide-gray-300 dark:divide-gray-700">
               <thead className="bg-gray-50 dark:bg-gray-700">
                 <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider min-w-0">
-                    Name
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap">
-                    Size
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap">
-                    Status
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap">
-                    Uploaded
+                  <th className="pl-6 py-3 w-4">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 text-indigo-600 border-gray-300 dark:border-gray-600 rounded focus:ring-indigo-500"
+                      checked={allOnPageSelected}
+                      ref={el => {
+                        if (el) {
+                          el.indeterminate =
+                            selectedIds.size > 0 && !allOnPageSelected;
+                        }
+                      }}
+                      onChange={togglePageSelected}
+                      aria-label="Select all on this page"
+                    />
                   </th>
+                  <SortableHeader
+                    label="Name"
+                    field="name"
+                    listState={listState}
+                    onSort={handleSort}
+                    className="min-w-0"
+                  />
+                  <SortableHeader
+                    label="Size"
+                    field="fileSize"
+                    listState={listState}
+                    onSort={handleSort}
+                    className="whitespace-nowrap"
+                  />
+                  <SortableHeader
+                    label="Status"
+                    field="processingStatus"
+                    listState={listState}
+                    onSort={handleSort}
+                    className="whitespace-nowrap"
+                  />
+                  <SortableHeader
+                    label="Uploaded"
+                    field="createdAt"
+                    listState={listState}
+                    onSort={handleSort}
+                    className="whitespace-nowrap"
+                  />
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap min-w-[120px]">
                     Actions
                   </th>
                 </tr>
               </thead>
               <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-                {documents.map(doc => {
+                {visibleDocuments.map((doc, index) => {
                   const isDeleting = deletingIds.has(doc.id);
+                  const isSelected =
+                    selectAllMatching || selectedIds.has(doc.id);
 
                   return (
                     <tr
                       key={doc.id}
                       className={`hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors ${
                         isDeleting ? "opacity-50" : ""
+                      } ${
+                        isSelected ? "bg-indigo-50 dark:bg-indigo-900/20" : ""
                       }`}
                     >
+                      <td className="pl-6 py-4 w-4">
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 text-indigo-600 border-gray-300 dark:border-gray-600 rounded focus:ring-indigo-500"
+                          checked={isSelected}
+                          onChange={e =>
+                            toggleSelected(index, e.nativeEvent.shiftKey)
+                          }
+                          aria-label={`Select ${getDocumentTitle(doc)}`}
+                        />
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap min-w-0">
                         <div className="flex items-center">
-                          <svg
-                            className="h-8 w-8 text-red-500 dark:text-red-400 mr-3 flex-shrink-0"
-                            fill="currentColor"
-                            viewBox="0 0 20 20"
-                          >
-                            <path
-                              fillRule="evenodd"
-                              d="M4 4a2 2 0 012-2h4.586A2 2 0 0112 2.586L15.414 6A2 2 0 0116 7.414V16a2 2 0 01-2 2H6a2 2 0 01-2-2V4zm2 6a1 1 0 011-1h6a1 1 0 110 2H7a1 1 0 01-1-1zm1 3a1 1 0 100 2h6a1 1 0 100-2H7z"
-                              clipRule="evenodd"
-                            />
-                          </svg>
+                          <FileTypeIcon doc={doc} className="h-8 w-8 mr-3" />
                           <div className="min-w-0 flex-1">
-                            <div className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                              {doc.name}
-                            </div>
+                            <Link
+                              to={getDocumentViewerPath(doc.id)}
+                              state={{ backgroundLocation: location }}
+                              className="block text-sm font-medium text-gray-900 dark:text-white hover:text-indigo-600 dark:hover:text-indigo-400 truncate"
+                              title="Open in viewer"
+                            >
+                              {getDocumentTitle(doc)}
+                            </Link>
+                            {doc.version > 1 && (
+                              <Link
+                                to={`/documents/${doc.id}/details`}
+                                className="block text-xs text-gray-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400"
+                                title="Version history"
+                              >
+                                Version {doc.version}
+                              </Link>
+                            )}
+                            {doc.collection && (
+                              <button
+                                onClick={() =>
+                                  updateListState({
+                                    collection: doc.collection,
+                                  })
+                                }
+                                className="block text-xs text-gray-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400 truncate"
+                                title="Show this folder"
+                              >
+                                {doc.collection}/
+                              </button>
+                            )}
+                            {getDocumentTags(doc).length > 0 && (
+                              <div className="flex flex-wrap gap-1 mt-1">
+                                {getDocumentTags(doc).map(tag => (
+                                  <button
+                                    key={tag}
+                                    onClick={() => updateListState({ tag })}
+                                    className="px-2 py-0.5 rounded-full text-xs bg-indigo-100 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-300 hover:bg-indigo-200 dark:hover:bg-indigo-800/60"
+                                    title="Show documents with this tag"
+                                  >
+                                    {tag}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
                             {doc.description && (
                               <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 truncate">
                                 {doc.description}
@@ -271,7 +947,16 @@ export default function DocumentList() {
                           : "N/A"}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        {getStatusBadge(doc.processingStatus)}
+                        {getStatusBadge(doc.processingStatus, doc)}
+                        {doc.processingStatus === "failed" &&
+                          doc.processingError && (
+                            <div
+                              className="text-xs text-red-600 dark:text-red-400 mt-1 max-w-[12rem] truncate"
+                              title={doc.processingError}
+                            >
+                              {doc.processingError}
+                            </div>
+                          )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                         {doc.createdAt
@@ -306,6 +991,84 @@ export default function DocumentList() {
                             </svg>
                           </button>
 
+                          {/* Reprocess Button */}
+                          <button
+                            onClick={() =>
+                              setReprocessTarget({
+                                docs: [doc],
+                                count: 1,
+                                bulk: false,
+                              })
+                            }
+                            disabled={
+                              isDeleting ||
+                              isProcessingStatus(doc.processingStatus)
+                            }
+                            className={`${
+                              doc.processingStatus === "failed"
+                                ? "text-yellow-600 dark:text-yellow-400 hover:text-yellow-800 dark:hover:text-yellow-300"
+                                : "text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200"
+                            } transition-colors disabled:opacity-50 disabled:cursor-not-allowed`}
+                            title="Reprocess document"
+                          >
+                            <svg
+                              className="h-5 w-5"
+                              fill="none"
+                              stroke="currentColor"
+                              viewBox="0 0 24 24"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                strokeWidth="2"
+                                d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+                              />
+                            </svg>
+                          </button>
+
+                          {/* Details Link */}
+                          <Link
+                            to={`/documents/${doc.id}/details`}
+                            className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 transition-colors"
+                            title="Document details"
+                          >
+                            <svg
+                              className="h-5 w-5"
+                              fill="none"
+                              stroke="currentColor"
+                              viewBox="0 0 24 24"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                strokeWidth="2"
+                                d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+                              />
+                            </svg>
+                          </Link>
+
+                          {/* Edit Button */}
+                          <button
+                            onClick={() => setEditingDoc(doc)}
+                            disabled={isDeleting}
+                            className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            title="Edit details"
+                          >
+                            <svg
+                              className="h-5 w-5"
+                              fill="none"
+                              stroke="currentColor"
+                              viewBox="0 0 24 24"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                strokeWidth="2"
+                                d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
+                              />
+                            </svg>
+                          </button>
+
                           {/* Delete Button */}
                           <button
                             onClick={() => handleDelete(doc.id, doc.name)}
@@ -342,7 +1105,69 @@ export default function DocumentList() {
             </table>
           </div>
         )}
+
+        {/* Pagination */}
+        {documents.length > 0 && (
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-600 dark:text-gray-400">
+            <span>
+              Showing {firstIndex + 1}–{firstIndex + documents.length} of{" "}
+              {visibleTotal}
+            </span>
+            <div className="flex items-center space-x-2">
+              <select
+                value={listState.limit}
+                onChange={e =>
+                  updateListState({ limit: Number(e.target.value) })
+                }
+                className="border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                title="Documents per page"
+              >
+                {PAGE_SIZES.map(size => (
+                  <option key={size} value={size}>
+                    {size} per page
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => updateListState({ page: listState.page - 1 })}
+                disabled={listState.page <= 1}
+                className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>
+                Page {listState.page} of {pageCount}
+              </span>
+              <button
+                onClick={() => updateListState({ page: listState.page + 1 })}
+                disabled={listState.page >= pageCount}
+                className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
       </div>
+
+      {reprocessTarget && (
+        <ReprocessDialog
+          documents={reprocessTarget.docs}
+          count={reprocessTarget.count}
+          onClose={() => setReprocessTarget(null)}
+          onConfirm={confirmReprocess}
+        />
+      )}
+
+      {editingDoc && (
+        <DocumentEditDrawer
+          document={editingDoc}
+          allTags={allTags}
+          collections={collections}
+          onClose={() => setEditingDoc(null)}
+          onSaved={handleSaved}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,157 @@
+// src/components/DocumentPicker.jsx - Searchable checkbox list for scoping chats to documents
+import React, { useState } from "react";
+import {
+  getAllTags,
+  getDocumentTags,
+  getDocumentTitle,
+  hasTag,
+} from "../utils/documents";
+
+export default function DocumentPicker({
+  documents,
+  selectedIds,
+  onChange,
+  loading = false,
+  disabled = false,
+}) {
+  const [search, setSearch] = useState("");
+
+  const query = search.trim().toLowerCase();
+  const visibleDocuments = documents.filter(
+    doc =>
+      !query ||
+      getDocumentTitle(doc).toLowerCase().includes(query) ||
+      getDocumentTags(doc).some(tag => tag.toLowerCase().includes(query))
+  );
+  const tags = getAllTags(documents);
+
+  const toggleDocument = id => {
+    onChange(
+      selectedIds.includes(id)
+        ? selectedIds.filter(selectedId => selectedId !== id)
+        : [...selectedIds, id]
+    );
+  };
+
+  // A tag is "on" when every document carrying it is selected; toggling it
+  // adds or removes all of them at once
+  const getTaggedIds = tag =>
+    documents.filter(doc => hasTag(doc, tag)).map(doc => doc.id);
+
+  const isTagSelected = tag =>
+    getTaggedIds(tag).every(id => selectedIds.includes(id));
+
+  const toggleTag = tag => {
+    const taggedIds = getTaggedIds(tag);
+    onChange(
+      isTagSelected(tag)
+        ? selectedIds.filter(id => !taggedIds.includes(id))
+        : [...new Set([...selectedIds, ...taggedIds])]
+    );
+  };
+
+  const selectVisible = () => {
+    const visibleIds = visibleDocuments.map(doc => doc.id);
+    onChange([...new Set([...selectedIds, ...visibleIds])]);
+  };
+
+  return (
+    <div className="border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800">
+      <div className="p-2 border-b border-gray-200 dark:border-gray-700 flex items-center space-x-2">
+        <input
+          type="text"
+          className="flex-1 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+          placeholder="Search documents..."
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+          disabled={disabled}
+        />
+        <button
+          type="button"
+          onClick={selectVisible}
+          disabled={disabled || visibleDocuments.length === 0}
+          className="text-xs text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300 disabled:opacity-50"
+        >
+          Select all
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange([])}
+          disabled={disabled || selectedIds.length === 0}
+          className="text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 disabled:opacity-50"
+        >
+          Clear
+        </button>
+      </div>
+
+      {tags.length > 0 && (
+        <div className="px-2 pt-2 flex flex-wrap gap-1">
+          {tags.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              onClick={() => toggleTag(tag)}
+              disabled={disabled}
+              className={`px-2 py-0.5 rounded-full text-xs border disabled:opacity-50 ${
+                isTagSelected(tag)
+                  ? "bg-indigo-600 border-indigo-600 text-white"
+                  : "border-indigo-300 dark:border-indigo-700 text-indigo-700 dark:text-indigo-300 hover:bg-indigo-50 dark:hover:bg-indigo-900/40"
+              }`}
+              title={`Select all documents tagged ${tag}`}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="max-h-48 overflow-y-auto p-2 space-y-1">
+        {loading ? (
+          <div className="flex items-center justify-center py-4">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-600 dark:border-gray-400 mr-2"></div>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              Loading documents...
+            </span>
+          </div>
+        ) : visibleDocuments.length === 0 ? (
+          <p className="text-sm text-center text-gray-500 dark:text-gray-400 py-4">
+            {documents.length === 0
+              ? "No documents uploaded yet"
+              : "No documents match your search"}
+          </p>
+        ) : (
+          visibleDocuments.map(doc => (
+            <label
+              key={doc.id}
+              className="flex items-center px-2 py-1 rounded hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                className="h-4 w-4 text-indigo-600 border-gray-300 dark:border-gray-600 rounded focus:ring-indigo-500"
+                checked={selectedIds.includes(doc.id)}
+                onChange={() => toggleDocument(doc.id)}
+                disabled={disabled}
+              />
+              <span className="ml-2 text-sm text-gray-900 dark:text-white truncate">
+                {getDocumentTitle(doc)}
+              </span>
+              {getDocumentTags(doc).length > 0 && (
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400 truncate">
+                  {getDocumentTags(doc).join(", ")}
+                </span>
+              )}
+            </label>
+          ))
+        )}
+      </div>
+
+      <div className="px-2 py-1 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+        {selectedIds.length === 0
+          ? "Searching all documents"
+          : `${selectedIds.length} document${
+              selectedIds.length === 1 ? "" : "s"
+            } selected`}
+      </div>
+    </div>
+  );
+}
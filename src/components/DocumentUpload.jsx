@@ -1,6 +1,52 @@
 // src/components/DocumentUpload.jsx - Enhanced with multiple file upload and proper S3 flow
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useEffect, useRef } from "react";
 import apiService from "../services/apiService";
+import {
+  DEFAULT_FILE_TYPES,
+  getAcceptAttribute,
+  getExtension,
+} from "../config/fileTypes";
+import { detectFileType } from "../utils/fileSniffer";
+import {
+  getCollectionPath,
+  getDroppedFiles,
+  isIgnoredPath,
+} from "../utils/fileTree";
+import { extractZip } from "../utils/zipArchive";
+import { hashFile } from "../services/fileHash";
+import { loadSupportedFileTypes } from "../services/supportedFileTypes";
+import {
+  discardSavedUpload,
+  getFileFingerprint,
+  getSavedUpload,
+  getSavedUploads,
+} from "../services/multipartUpload";
+import { uploadToStorage } from "../services/fileUpload";
+import { MAX_RETRIES, retryTransient } from "../services/uploadRetry";
+import { uploadDocumentVersion } from "../services/documentVersions";
+import { getStageLabel, watchDocumentStatus } from "../services/documentStatus";
+
+const MAX_FILES = 100;
+const MAX_FILE_SIZE = 2 * 1024 * 1024 * 1024; // 2GB, uploaded in parts
+const DEFAULT_CONCURRENCY = 3;
+
+// Queued or running; the run isn't over while any file is in these states
+const IN_FLIGHT_STATUSES = ["queued", "getting-url", "uploading", "retrying"];
+
+const formatBytes = bytes => {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+const formatDuration = seconds => {
+  if (seconds < 60) return `${Math.ceil(seconds)}s`;
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m ${Math.ceil(seconds % 60)}s`;
+  }
+  return `${Math.floor(seconds / 3600)}h ${Math.ceil((seconds % 3600) / 60)}m`;
+};
 
 export default function DocumentUpload({ onUploadComplete }) {
   const [files, setFiles] = useState([]);
@@ -8,25 +54,181 @@ export default function DocumentUpload({ onUploadComplete }) {
   const [uploadStatus, setUploadStatus] = useState({});
   const [dragOver, setDragOver] = useState(false);
   const [globalStatus, setGlobalStatus] = useState("");
+  // Multipart uploads interrupted by a reload, resumable by re-selecting the file
+  const [savedUploads, setSavedUploads] = useState(getSavedUploads);
+  const [fileTypes, setFileTypes] = useState(DEFAULT_FILE_TYPES);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [throughput, setThroughput] = useState(0);
+  // Bumped whenever an upload gives up its slot, so the queue moves on even
+  // when nothing in `files` changed (e.g. a file handed over to processing)
+  const [freedSlots, setFreedSlots] = useState(0);
+  const statusWatchersRef = useRef(new Set());
+  // fileId -> AbortController for files still being hashed
+  const hashControllersRef = useRef({});
+  // fileId -> { controller, reason } for uploads currently running
+  const activeUploadsRef = useRef({});
+  // Files queued since the last summary, reported together when it ends
+  const runIdsRef = useRef(new Set());
+  const progressSamplesRef = useRef([]);
+  const uploadedBytesRef = useRef(0);
 
-  const MAX_FILES = 100;
-  const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+  // Stop hashing, uploads and status polling when the uploader goes away
+  useEffect(() => {
+    const watchers = statusWatchersRef.current;
+    const activeUploads = activeUploadsRef.current;
+    const hashControllers = hashControllersRef.current;
+    return () => {
+      Object.values(hashControllers).forEach(controller => controller.abort());
+      watchers.forEach(controller => controller.abort());
+      Object.values(activeUploads).forEach(({ controller }) =>
+        controller.abort()
+      );
+    };
+  }, []);
 
-  const validateFile = file => {
-    if (file.type !== "application/pdf") {
-      return "Only PDF files are allowed";
-    }
-    if (file.size > MAX_FILE_SIZE) {
-      return "File size must be less than 50MB";
+  // Prefer the backend's list of ingestible formats over the defaults
+  useEffect(() => {
+    loadSupportedFileTypes().then(setFileTypes);
+  }, []);
+
+  // Resolves to { type } or { error }; the type is sniffed from the content
+  const validateFile = useCallback(
+    async file => {
+      if (file.size > MAX_FILE_SIZE) {
+        return { error: "File size must be less than 2GB" };
+      }
+      if (file.size === 0) {
+        return { error: "File is empty" };
+      }
+      return detectFileType(file, fileTypes);
+    },
+    [fileTypes]
+  );
+
+  const updateFileStatus = useCallback(
+    (fileId, status, progress = 0, error = null) => {
+      setFiles(prev =>
+        prev.map(file =>
+          file.id === fileId ? { ...file, status, progress, error } : file
+        )
+      );
+    },
+    []
+  );
+
+  const updateFile = useCallback((fileId, changes) => {
+    setFiles(prev =>
+      prev.map(file => (file.id === fileId ? { ...file, ...changes } : file))
+    );
+  }, []);
+
+  // Hash the content in the worker and look for documents that already have
+  // it, or another file in this list with the same content
+  const checkForDuplicate = useCallback(
+    async fileObj => {
+      const controller = new AbortController();
+      hashControllersRef.current[fileObj.id] = controller;
+
+      let contentHash;
+      try {
+        contentHash = await hashFile(fileObj.file, {
+          signal: controller.signal,
+          onProgress: progress =>
+            updateFileStatus(fileObj.id, "hashing", progress),
+        });
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          console.error(`Error hashing ${fileObj.name}:`, error);
+          // Without a hash there's nothing to compare; let it upload
+          updateFileStatus(fileObj.id, "ready", 0);
+        }
+        return;
+      } finally {
+        delete hashControllersRef.current[fileObj.id];
+      }
+
+      let existing = null;
+      try {
+        const response = await apiService.findDocumentsByHash([contentHash]);
+        const matches = response.data?.documents || response.data || [];
+        existing = Array.isArray(matches) ? matches[0] || null : null;
+      } catch (error) {
+        console.error(`Duplicate check failed for ${fileObj.name}:`, error);
+      }
+
+      setFiles(prev => {
+        const twin = prev.find(
+          f => f.id !== fileObj.id && f.contentHash === contentHash
+        );
+        const duplicateOf = existing
+          ? {
+              id: existing.id,
+              name: existing.name || existing.fileName,
+              contentHash: existing.contentHash,
+            }
+          : twin
+          ? { name: twin.name }
+          : null;
+
+        return prev.map(f =>
+          f.id === fileObj.id
+            ? {
+                ...f,
+                contentHash,
+                duplicateOf,
+                status: duplicateOf ? "duplicate" : "ready",
+                progress: 0,
+              }
+            : f
+        );
+      });
+    },
+    [updateFileStatus]
+  );
+
+  // Turn a selection into { file, path } entries, unpacking ZIP archives
+  // into folders named after them
+  const expandSelection = async (selectedFiles, errors) => {
+    const entries = Array.from(selectedFiles).map(item =>
+      item instanceof File
+        ? { file: item, path: item.webkitRelativePath || item.name }
+        : item
+    );
+
+    const expanded = [];
+    for (const entry of entries) {
+      if (getExtension(entry.file.name) !== ".zip") {
+        expanded.push(entry);
+        continue;
+      }
+
+      try {
+        setGlobalStatus(`Unpacking ${entry.file.name}...`);
+        const folder = entry.path.replace(/\.zip$/i, "");
+        const { files: unpacked, errors: zipErrors } = await extractZip(
+          entry.file
+        );
+        unpacked.forEach(item =>
+          expanded.push({ ...item, path: `${folder}/${item.path}` })
+        );
+        zipErrors.forEach(message =>
+          errors.push(`${entry.file.name}: ${message}`)
+        );
+      } catch (error) {
+        console.error(`Error unpacking ${entry.file.name}:`, error);
+        errors.push(`${entry.file.name}: ${error.message}`);
+      }
     }
-    return null;
+
+    return expanded.filter(entry => !isIgnoredPath(entry.path));
   };
 
   const handleFileSelect = useCallback(
-    selectedFiles => {
-      const fileArray = Array.from(selectedFiles);
+    async selectedFiles => {
       const validFiles = [];
       const errors = [];
+      const entries = await expandSelection(selectedFiles, errors);
+      const fileArray = entries.map(entry => entry.file);
 
       // Check total file limit
       if (files.length + fileArray.length > MAX_FILES) {
@@ -36,15 +238,20 @@ export default function DocumentUpload({ onUploadComplete }) {
         return;
       }
 
+      const validations = await Promise.all(fileArray.map(validateFile));
+
       fileArray.forEach((file, index) => {
-        const error = validateFile(file);
+        const { type: fileType, error } = validations[index];
         if (error) {
           errors.push(`${file.name}: ${error}`);
         } else {
-          // Check for duplicates
+          // Check for duplicates; same-named files in other folders are fine
+          const collection = getCollectionPath(entries[index].path);
           const isDuplicate = files.some(
             existingFile =>
-              existingFile.name === file.name && existingFile.size === file.size
+              existingFile.name === file.name &&
+              existingFile.size === file.size &&
+              existingFile.collection === collection
           );
           if (!isDuplicate) {
             // Create a proper file object that preserves the original File properties
@@ -52,13 +259,18 @@ export default function DocumentUpload({ onUploadComplete }) {
               // Copy all File properties
               name: file.name,
               size: file.size,
-              type: file.type,
+              // Detected from the content; browsers often report "" for .md etc.
+              type: fileType.mimeTypes[0],
               lastModified: file.lastModified,
+              // Folder the file came from, kept as its collection
+              collection,
               // Add our tracking properties
               id: Date.now() + index,
-              status: "ready",
+              // Ready once hashed and checked against existing documents
+              status: "hashing",
               progress: 0,
               error: null,
+              resumable: Boolean(getSavedUpload(file)),
               // Keep reference to original File object for upload
               file: file,
             };
@@ -77,9 +289,10 @@ export default function DocumentUpload({ onUploadComplete }) {
 
       if (validFiles.length > 0) {
         setFiles(prev => [...prev, ...validFiles]);
+        validFiles.forEach(checkForDuplicate);
       }
     },
-    [files]
+    [files, validateFile, checkForDuplicate]
   );
 
   const handleFileInputChange = useCallback(
@@ -92,10 +305,15 @@ export default function DocumentUpload({ onUploadComplete }) {
   );
 
   const handleDrop = useCallback(
-    e => {
+    async e => {
       e.preventDefault();
       setDragOver(false);
-      handleFileSelect(e.dataTransfer.files);
+      try {
+        handleFileSelect(await getDroppedFiles(e.dataTransfer));
+      } catch (error) {
+        console.error("Error reading dropped folder:", error);
+        setGlobalStatus("Failed to read dropped folder: " + error.message);
+      }
     },
     [handleFileSelect]
   );
@@ -111,167 +329,335 @@ export default function DocumentUpload({ onUploadComplete }) {
   }, []);
 
   const removeFile = useCallback(fileId => {
+    hashControllersRef.current[fileId]?.abort();
     setFiles(prev => prev.filter(f => f.id !== fileId));
   }, []);
 
-  const updateFileStatus = useCallback(
-    (fileId, status, progress = 0, error = null) => {
-      setFiles(prev =>
-        prev.map(file =>
-          file.id === fileId ? { ...file, status, progress, error } : file
-        )
+  // Choices for a duplicate: skip it, replace the existing document, or
+  // upload it as a separate document anyway
+  const resolveDuplicate = (fileId, choice) => {
+    if (choice === "skip") {
+      removeFile(fileId);
+      return;
+    }
+    // Replacing a document with the content it already holds would only
+    // add an identical version
+    const fileObj = files.find(f => f.id === fileId);
+    if (
+      choice === "replace" &&
+      fileObj &&
+      fileObj.duplicateOf.contentHash === fileObj.contentHash
+    ) {
+      removeFile(fileId);
+      setGlobalStatus(
+        `Skipped ${fileObj.name}: "${fileObj.duplicateOf.name}" already has this content.`
       );
-    },
-    []
-  );
-
-  // Enhanced S3 upload function
-  const uploadToS3 = async (presignedUrl, file, onProgress) => {
-    return new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest();
-
-      xhr.upload.addEventListener("progress", e => {
-        if (e.lengthComputable) {
-          const progress = (e.loaded / e.total) * 100;
-          onProgress(progress);
-        }
-      });
-
-      xhr.addEventListener("load", () => {
-        if (xhr.status === 200) {
-          resolve();
-        } else {
-          reject(new Error(`Upload failed with status: ${xhr.status}`));
-        }
-      });
-
-      xhr.addEventListener("error", () => {
-        reject(new Error("Network error during upload"));
-      });
-
-      xhr.addEventListener("abort", () => {
-        reject(new Error("Upload was aborted"));
-      });
+      return;
+    }
+    setFiles(prev =>
+      prev.map(f =>
+        f.id === fileId
+          ? {
+              ...f,
+              status: "ready",
+              replaceDocumentId:
+                choice === "replace" ? f.duplicateOf.id : undefined,
+            }
+          : f
+      )
+    );
+  };
 
-      xhr.open("PUT", presignedUrl);
-      xhr.setRequestHeader("Content-Type", file.type);
-      xhr.send(file);
-    });
+  const skipAllDuplicates = () => {
+    setFiles(prev => prev.filter(f => f.status !== "duplicate"));
   };
 
-  const uploadSingleFile = async file => {
+  // Ingestion runs server-side after processDocument; follow it to the end
+  const trackProcessing = async (fileId, documentId) => {
+    const controller = new AbortController();
+    statusWatchersRef.current.add(controller);
+
     try {
-      console.log("Starting upload for file:", file);
+      const result = await watchDocumentStatus(
+        documentId,
+        update => {
+          updateFile(fileId, {
+            status: "processing",
+            stage: update.stage,
+            progress: update.progress ?? 0,
+          });
+        },
+        { signal: controller.signal }
+      );
 
-      // Validate file object
-      if (!file || !file.name) {
-        throw new Error("Invalid file object - missing name");
+      if (result.status === "failed") {
+        updateFileStatus(
+          fileId,
+          "failed",
+          0,
+          result.error || "Processing failed"
+        );
+      } else {
+        updateFileStatus(fileId, "completed", 100);
       }
+      onUploadComplete?.();
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      updateFileStatus(
+        fileId,
+        "failed",
+        0,
+        "Could not check processing status: " + error.message
+      );
+    } finally {
+      statusWatchersRef.current.delete(controller);
+    }
+  };
 
-      if (!file.type) {
-        throw new Error("Invalid file object - missing type");
-      }
+  const uploadSingleFile = async (file, signal) => {
+    // Validate file object
+    if (!file || !file.name) {
+      throw new Error("Invalid file object - missing name");
+    }
 
-      updateFileStatus(file.id, "getting-url", 0);
+    if (!file.type) {
+      throw new Error("Invalid file object - missing type");
+    }
+
+    updateFileStatus(file.id, "getting-url", 0);
 
-      // Get presigned URL with correct JSON body structure
-      console.log("Requesting upload URL for:", {
-        fileName: file.name,
-        contentType: file.type,
-        fileSize: file.size,
+    const reportUpload = progress =>
+      updateFileStatus(file.id, "uploading", progress);
+    // Past this point the upload can no longer be paused or cancelled
+    const markProcessing = () =>
+      updateFile(file.id, {
+        status: "processing",
+        stage: "queued",
+        progress: 0,
       });
 
-      // Make sure we're sending the right structure to the API
-      const uploadResponse = await apiService.getUploadUrl(
-        file.name,
-        file.type
+    // Replacing keeps the existing document, its chats and its history;
+    // this file becomes its newest version
+    if (file.replaceDocumentId) {
+      await uploadDocumentVersion(
+        {
+          id: file.replaceDocumentId,
+          contentHash: file.duplicateOf?.contentHash,
+        },
+        file.file || file,
+        {
+          contentType: file.type,
+          contentHash: file.contentHash,
+          signal,
+          onProgress: ({ stage, progress }) =>
+            stage === "saving" ? markProcessing() : reportUpload(progress),
+        }
       );
-      console.log("Upload URL response:", uploadResponse);
-
-      if (
-        !uploadResponse.data ||
-        !uploadResponse.data.uploadUrl ||
-        !uploadResponse.data.key
-      ) {
-        throw new Error("Invalid upload URL response from server");
-      }
-
-      const { uploadUrl, key } = uploadResponse.data;
+      trackProcessing(file.id, file.replaceDocumentId);
+      return;
+    }
 
-      updateFileStatus(file.id, "uploading", 0);
+    // Large files go up in parallel parts that survive a reload
+    const key = await uploadToStorage(file.file || file, {
+      contentType: file.type,
+      onProgress: reportUpload,
+      signal,
+    });
+    markProcessing();
 
-      // Upload to S3 using presigned URL (use original File object)
-      await uploadToS3(uploadUrl, file.file || file, progress => {
-        updateFileStatus(file.id, "uploading", progress);
-      });
+    // Process document
+    const processResponse = await apiService.processDocument(
+      key,
+      file.name,
+      file.type,
+      file.size,
+      {
+        collection: file.collection || undefined,
+        contentHash: file.contentHash,
+      }
+    );
 
-      updateFileStatus(file.id, "processing", 100);
+    const documentId =
+      processResponse.data?.document?.id ||
+      processResponse.data?.documentId ||
+      processResponse.data?.id;
+    if (documentId) {
+      trackProcessing(file.id, documentId);
+    } else {
+      updateFileStatus(file.id, "completed", 100);
+    }
+  };
 
-      // Process document
-      const processResponse = await apiService.processDocument(
-        key,
-        file.name,
-        file.type,
-        file.size
+  // Drop the parts S3 is holding for an abandoned multipart upload
+  const discardFileParts = file => {
+    const savedUpload = getSavedUpload(file.file || file);
+    if (savedUpload) {
+      discardSavedUpload(savedUpload).then(() =>
+        setSavedUploads(getSavedUploads())
       );
+    }
+  };
 
-      updateFileStatus(file.id, "completed", 100);
-      return { success: true, file: file.name };
+  // Run one queued file, retrying transient failures with exponential
+  // backoff. Pause and cancel abort the in-flight request.
+  const runUpload = async file => {
+    const controller = new AbortController();
+    activeUploadsRef.current[file.id] = { controller, reason: null };
+
+    try {
+      await retryTransient(() => uploadSingleFile(file, controller.signal), {
+        signal: controller.signal,
+        onRetry: (error, attempt, delay) => {
+          console.warn(`Retrying ${file.name} in ${delay}ms:`, error);
+          updateFile(file.id, {
+            status: "retrying",
+            progress: 0,
+            error: error.message,
+            attempt,
+            retryInSeconds: Math.round(delay / 1000),
+          });
+        },
+      });
     } catch (error) {
-      console.error(`Upload error for ${file?.name || "unknown file"}:`, error);
-      updateFileStatus(file.id, "failed", 0, error.message);
-      return {
-        success: false,
-        file: file?.name || "unknown file",
-        error: error.message,
-      };
+      const { reason } = activeUploadsRef.current[file.id] || {};
+      if (reason === "pause") {
+        updateFile(file.id, { status: "paused", error: null });
+      } else if (reason === "cancel") {
+        updateFile(file.id, {
+          status: "cancelled",
+          progress: 0,
+          error: null,
+          resumable: false,
+        });
+        // The slot is free already, so don't hold it while S3 answers
+        discardFileParts(file);
+      } else {
+        console.error(
+          `Upload error for ${file?.name || "unknown file"}:`,
+          error
+        );
+        updateFileStatus(file.id, "failed", 0, error.message);
+      }
+    } finally {
+      delete activeUploadsRef.current[file.id];
+      setFreedSlots(prev => prev + 1);
     }
   };
 
-  const handleUploadAll = useCallback(async () => {
-    if (files.length === 0) return;
+  // The refill effect below must start uploads with this render's helpers
+  const runUploadRef = useRef(runUpload);
+  runUploadRef.current = runUpload;
 
-    const filesToUpload = files.filter(
-      f => f.status === "ready" || f.status === "failed"
+  // Sliding window: start queued files whenever a slot frees up
+  useEffect(() => {
+    const running = Object.keys(activeUploadsRef.current).length;
+    const queued = files.filter(
+      file => file.status === "queued" && !activeUploadsRef.current[file.id]
     );
-    if (filesToUpload.length === 0) return;
-
-    setUploading(true);
-    setGlobalStatus(`Uploading ${filesToUpload.length} files...`);
+    queued
+      .slice(0, Math.max(0, concurrency - running))
+      .forEach(file => runUploadRef.current(file));
+  }, [files, concurrency, freedSlots]);
 
-    const results = [];
+  // A run ends once nothing is queued or uploading; summarise it
+  useEffect(() => {
+    if (!uploading) return;
+    if (files.some(file => IN_FLIGHT_STATUSES.includes(file.status))) return;
 
-    // Upload files concurrently (max 3 at a time to avoid overwhelming the server)
-    const batchSize = 3;
-    for (let i = 0; i < filesToUpload.length; i += batchSize) {
-      const batch = filesToUpload.slice(i, i + batchSize);
-      const batchPromises = batch.map(file => uploadSingleFile(file));
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-    }
-
-    const successful = results.filter(r => r.success);
-    const failed = results.filter(r => !r.success);
+    const runFiles = files.filter(file => runIdsRef.current.has(file.id));
+    const successful = runFiles.filter(file =>
+      ["processing", "completed"].includes(file.status)
+    );
+    const failed = runFiles.filter(file => file.status === "failed");
+    const stopped = runFiles.length - successful.length - failed.length;
 
     if (successful.length > 0 && failed.length === 0) {
-      setGlobalStatus(`Successfully uploaded ${successful.length} files!`);
+      setGlobalStatus(
+        `Successfully uploaded ${successful.length} files!` +
+          (stopped > 0 ? ` ${stopped} paused or cancelled.` : "")
+      );
     } else if (successful.length > 0 && failed.length > 0) {
       setGlobalStatus(
         `Uploaded ${successful.length} files. ${failed.length} failed.`
       );
-    } else {
+    } else if (failed.length > 0) {
       setGlobalStatus(`All uploads failed.`);
+    } else {
+      setGlobalStatus(`${stopped} uploads paused or cancelled.`);
     }
 
+    runIdsRef.current = new Set();
     setUploading(false);
+    setSavedUploads(getSavedUploads());
     onUploadComplete?.();
-  }, [files, onUploadComplete]);
+  }, [files, uploading, onUploadComplete]);
+
+  const queueFiles = fileIds => {
+    if (fileIds.length === 0) return;
+
+    fileIds.forEach(id => runIdsRef.current.add(id));
+    setFiles(prev =>
+      prev.map(file =>
+        fileIds.includes(file.id)
+          ? { ...file, status: "queued", progress: 0, error: null }
+          : file
+      )
+    );
+    setUploading(true);
+  };
+
+  const handleUploadAll = useCallback(() => {
+    const filesToUpload = files.filter(f =>
+      ["ready", "failed", "cancelled"].includes(f.status)
+    );
+    if (filesToUpload.length === 0) return;
+
+    setGlobalStatus(`Uploading ${filesToUpload.length} files...`);
+    queueFiles(filesToUpload.map(f => f.id));
+  }, [files]);
+
+  const stopUpload = (fileId, reason) => {
+    const active = activeUploadsRef.current[fileId];
+    if (active) {
+      active.reason = reason;
+      active.controller.abort();
+    } else if (reason === "pause") {
+      // Not started yet: just take it out of the queue
+      updateFile(fileId, { status: "paused" });
+    } else {
+      // Queued or paused; a paused file may have parts saved on S3
+      updateFile(fileId, { status: "cancelled", resumable: false });
+      const file = files.find(f => f.id === fileId);
+      if (file) discardFileParts(file);
+    }
+  };
+
+  const pauseUpload = fileId => stopUpload(fileId, "pause");
+
+  const cancelUpload = fileId => stopUpload(fileId, "cancel");
+
+  const resumeUpload = fileId => queueFiles([fileId]);
+
+  const discardUpload = async upload => {
+    await discardSavedUpload(upload);
+    setSavedUploads(getSavedUploads());
+    setFiles(prev =>
+      prev.map(file =>
+        file.name === upload.fileName && file.size === upload.fileSize
+          ? { ...file, resumable: false }
+          : file
+      )
+    );
+  };
 
   const clearCompleted = useCallback(() => {
     setFiles(prev => prev.filter(f => f.status !== "completed"));
   }, []);
 
   const clearAll = useCallback(() => {
+    Object.values(hashControllersRef.current).forEach(controller =>
+      controller.abort()
+    );
     setFiles([]);
     setGlobalStatus("");
   }, []);
@@ -280,8 +666,16 @@ export default function DocumentUpload({ onUploadComplete }) {
     switch (status) {
       case "ready":
         return "text-gray-600 dark:text-gray-400";
+      case "hashing":
+      case "queued":
       case "getting-url":
         return "text-blue-600 dark:text-blue-400";
+      case "duplicate":
+      case "retrying":
+      case "paused":
+        return "text-orange-600 dark:text-orange-400";
+      case "cancelled":
+        return "text-gray-500 dark:text-gray-400";
       case "uploading":
         return "text-blue-600 dark:text-blue-400";
       case "processing":
@@ -297,14 +691,35 @@ export default function DocumentUpload({ onUploadComplete }) {
 
   const getStatusText = file => {
     switch (file.status) {
+      case "hashing":
+        return `Checking for duplicates... ${Math.round(file.progress)}%`;
+      case "duplicate":
+        return file.duplicateOf.id
+          ? `Already uploaded as "${file.duplicateOf.name}"`
+          : `Same content as "${file.duplicateOf.name}" above`;
       case "ready":
-        return "Ready to upload";
+        if (file.replaceDocumentId) {
+          return `Ready to upload as a new version of "${file.duplicateOf.name}"`;
+        }
+        return file.resumable ? "Ready to resume" : "Ready to upload";
+      case "queued":
+        return "Queued";
       case "getting-url":
         return "Getting upload URL...";
+      case "retrying":
+        return `Retrying in ${file.retryInSeconds}s (attempt ${
+          file.attempt + 1
+        } of ${MAX_RETRIES + 1})`;
+      case "paused":
+        return "Paused";
+      case "cancelled":
+        return "Cancelled";
       case "uploading":
         return `Uploading... ${Math.round(file.progress)}%`;
       case "processing":
-        return "Processing document...";
+        return `Processing${
+          file.stage ? `: ${getStageLabel(file.stage)}` : "..."
+        }${file.progress > 0 ? ` ${Math.round(file.progress)}%` : ""}`;
       case "completed":
         return "Completed";
       case "failed":
@@ -314,13 +729,57 @@ export default function DocumentUpload({ onUploadComplete }) {
     }
   };
 
-  const pendingFiles = files.filter(
-    f => f.status === "ready" || f.status === "failed"
-  );
-  const activeFiles = files.filter(f =>
-    ["getting-url", "uploading", "processing"].includes(f.status)
+  // Throughput over a sliding 5s window, sampled once a second
+  useEffect(() => {
+    if (!uploading) {
+      progressSamplesRef.current = [];
+      setThroughput(0);
+      return;
+    }
+
+    const interval = setInterval(() => {
+      const now = Date.now();
+      const samples = [
+        ...progressSamplesRef.current.filter(
+          sample => now - sample.time <= 5000
+        ),
+        { time: now, bytes: uploadedBytesRef.current },
+      ];
+      progressSamplesRef.current = samples;
+
+      const elapsed = (now - samples[0].time) / 1000;
+      if (elapsed > 0) {
+        setThroughput(
+          Math.max(0, (uploadedBytesRef.current - samples[0].bytes) / elapsed)
+        );
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [uploading]);
+
+  const pendingFiles = files.filter(f =>
+    ["ready", "failed", "cancelled"].includes(f.status)
   );
+  const activeFiles = files.filter(f => IN_FLIGHT_STATUSES.includes(f.status));
+
+  // Aggregate progress over this run; processed files count as fully sent
+  const runFiles = files.filter(f => runIdsRef.current.has(f.id));
+  const totalBytes = runFiles.reduce((sum, f) => sum + f.size, 0);
+  const uploadedBytes = runFiles.reduce((sum, f) => {
+    if (["processing", "completed"].includes(f.status)) return sum + f.size;
+    if (f.status === "uploading") return sum + (f.size * f.progress) / 100;
+    return sum;
+  }, 0);
+  uploadedBytesRef.current = uploadedBytes;
+  const etaSeconds =
+    throughput > 0 ? (totalBytes - uploadedBytes) / throughput : null;
   const completedFiles = files.filter(f => f.status === "completed");
+  const duplicateFiles = files.filter(f => f.status === "duplicate");
+  // Uploads already back in the list are resumed from there
+  const interruptedUploads = savedUploads.filter(
+    upload =>
+      !files.some(f => getFileFingerprint(f.file || f) === upload.fingerprint)
+  );
 
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow border dark:border-gray-700 p-6">
@@ -368,7 +827,24 @@ export default function DocumentUpload({ onUploadComplete }) {
                 id="file-upload"
                 type="file"
                 className="sr-only"
-                accept=".pdf"
+                accept={`${getAcceptAttribute(fileTypes)},.zip,application/zip`}
+                multiple
+                onChange={handleFileInputChange}
+                disabled={uploading || files.length >= MAX_FILES}
+              />
+            </label>
+            <span>, </span>
+            <label
+              htmlFor="folder-upload"
+              className="relative cursor-pointer bg-white dark:bg-gray-800 rounded-md font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-500 dark:hover:text-indigo-300"
+            >
+              <span>a folder</span>
+              <input
+                id="folder-upload"
+                type="file"
+                className="sr-only"
+                webkitdirectory=""
+                directory=""
                 multiple
                 onChange={handleFileInputChange}
                 disabled={uploading || files.length >= MAX_FILES}
@@ -377,11 +853,50 @@ export default function DocumentUpload({ onUploadComplete }) {
             <span> or drag and drop</span>
           </div>
           <p className="text-xs text-gray-500 dark:text-gray-400">
-            PDF files up to 50MB each • Maximum {MAX_FILES} files
+            {fileTypes.map(type => type.label).join(", ")} files up to 2GB each
+            • Maximum {MAX_FILES} files
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Folders and .zip archives keep their structure as collections
           </p>
         </div>
       </div>
 
+      {/* Interrupted multipart uploads */}
+      {interruptedUploads.length > 0 && (
+        <div className="mt-4 p-3 rounded-md bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-300 dark:border-yellow-700 text-sm text-yellow-800 dark:text-yellow-300">
+          <p className="font-medium">Interrupted uploads</p>
+          <p className="text-xs mb-2">
+            Select the same file again to continue where it left off.
+          </p>
+          <ul className="space-y-1">
+            {interruptedUploads.map(upload => (
+              <li
+                key={upload.fingerprint}
+                className="flex items-center justify-between text-xs"
+              >
+                <span className="truncate">
+                  {upload.fileName} (
+                  {Math.round(
+                    (Object.keys(upload.parts).length /
+                      Math.ceil(upload.fileSize / upload.partSize)) *
+                      100
+                  )}
+                  % uploaded)
+                </span>
+                <button
+                  onClick={() => discardUpload(upload)}
+                  disabled={uploading}
+                  className="ml-2 text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 disabled:opacity-50"
+                >
+                  Discard
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Global Status */}
       {globalStatus && (
         <div
@@ -397,6 +912,28 @@ export default function DocumentUpload({ onUploadComplete }) {
         </div>
       )}
 
+      {/* Aggregate progress for the current run */}
+      {uploading && totalBytes > 0 && (
+        <div className="mt-4">
+          <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+            <span>
+              {formatBytes(uploadedBytes)} of {formatBytes(totalBytes)}
+            </span>
+            <span>
+              {throughput > 0 && `${formatBytes(throughput)}/s`}
+              {etaSeconds !== null &&
+                ` • ${formatDuration(etaSeconds)} remaining`}
+            </span>
+          </div>
+          <div className="bg-gray-200 dark:bg-gray-600 rounded-full h-2">
+            <div
+              className="bg-indigo-600 dark:bg-indigo-500 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${(uploadedBytes / totalBytes) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
       {/* File List */}
       {files.length > 0 && (
         <div className="mt-4">
@@ -405,6 +942,14 @@ export default function DocumentUpload({ onUploadComplete }) {
               Selected Files ({files.length})
             </h4>
             <div className="flex space-x-2">
+              {duplicateFiles.length > 0 && (
+                <button
+                  onClick={skipAllDuplicates}
+                  className="text-xs text-orange-600 dark:text-orange-400 hover:text-orange-800 dark:hover:text-orange-300"
+                >
+                  Skip {duplicateFiles.length} Duplicates
+                </button>
+              )}
               {completedFiles.length > 0 && (
                 <button
                   onClick={clearCompleted}
@@ -431,6 +976,11 @@ export default function DocumentUpload({ onUploadComplete }) {
               >
                 <div className="flex-1 min-w-0">
                   <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {file.collection && (
+                      <span className="font-normal text-gray-500 dark:text-gray-400">
+                        {file.collection}/
+                      </span>
+                    )}
                     {file.name}
                   </p>
                   <div className="flex items-center space-x-4 mt-1">
@@ -442,12 +992,20 @@ export default function DocumentUpload({ onUploadComplete }) {
                     </span>
                   </div>
 
-                  {/* Progress bar for uploading files */}
-                  {file.status === "uploading" && (
+                  {/* Progress bar for uploading and processing files */}
+                  {(file.status === "uploading" ||
+                    (file.status === "hashing" && file.progress > 0) ||
+                    (file.status === "processing" && file.progress > 0)) && (
                     <div className="mt-2">
                       <div className="bg-gray-200 dark:bg-gray-600 rounded-full h-1">
                         <div
-                          className="bg-indigo-600 dark:bg-indigo-500 h-1 rounded-full transition-all duration-300"
+                          className={`${
+                            file.status === "processing"
+                              ? "bg-yellow-500 dark:bg-yellow-400"
+                              : file.status === "hashing"
+                              ? "bg-gray-400 dark:bg-gray-400"
+                              : "bg-indigo-600 dark:bg-indigo-500"
+                          } h-1 rounded-full transition-all duration-300`}
                           style={{ width: `${file.progress}%` }}
                         />
                       </div>
@@ -455,11 +1013,71 @@ export default function DocumentUpload({ onUploadComplete }) {
                   )}
                 </div>
 
+                {/* Queue controls */}
+                <div className="ml-3 flex items-center space-x-2 text-xs">
+                  {file.status === "duplicate" && (
+                    <>
+                      <button
+                        onClick={() => resolveDuplicate(file.id, "skip")}
+                        className="text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+                      >
+                        Skip
+                      </button>
+                      {file.duplicateOf.id && (
+                        <button
+                          onClick={() => resolveDuplicate(file.id, "replace")}
+                          className="text-orange-600 dark:text-orange-400 hover:text-orange-800 dark:hover:text-orange-300"
+                        >
+                          Replace
+                        </button>
+                      )}
+                      <button
+                        onClick={() => resolveDuplicate(file.id, "keep")}
+                        className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300"
+                      >
+                        Keep both
+                      </button>
+                    </>
+                  )}
+                  {IN_FLIGHT_STATUSES.includes(file.status) && (
+                    <button
+                      onClick={() => pauseUpload(file.id)}
+                      className="text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+                    >
+                      Pause
+                    </button>
+                  )}
+                  {file.status === "paused" && (
+                    <button
+                      onClick={() => resumeUpload(file.id)}
+                      className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300"
+                    >
+                      Resume
+                    </button>
+                  )}
+                  {(IN_FLIGHT_STATUSES.includes(file.status) ||
+                    file.status === "paused") && (
+                    <button
+                      onClick={() => cancelUpload(file.id)}
+                      className="text-red-500 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                  {uploading &&
+                    ["failed", "cancelled"].includes(file.status) && (
+                      <button
+                        onClick={() => resumeUpload(file.id)}
+                        className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300"
+                      >
+                        Retry
+                      </button>
+                    )}
+                </div>
+
                 {/* Remove button */}
-                {!uploading &&
-                  !["uploading", "getting-url", "processing"].includes(
-                    file.status
-                  ) && (
+                {!IN_FLIGHT_STATUSES.includes(file.status) &&
+                  file.status !== "processing" && (
                     <button
                       onClick={() => removeFile(file.id)}
                       className="ml-3 text-red-500 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300"
@@ -523,6 +1141,20 @@ export default function DocumentUpload({ onUploadComplete }) {
               ? `Uploading... (${activeFiles.length} active)`
               : `Upload ${pendingFiles.length} Files`}
           </button>
+          <label className="flex items-center text-sm text-gray-600 dark:text-gray-400">
+            <span className="mr-2">At a time</span>
+            <select
+              value={concurrency}
+              onChange={e => setConcurrency(Number(e.target.value))}
+              className="border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1.5 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {[1, 2, 3, 4, 5, 6].map(n => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
         </div>
       )}
     </div>
@@ -0,0 +1,218 @@
+// src/components/DocumentVersionDiff.jsx - Pick two versions of a document and diff their extracted text
+import React, { useState, useEffect, useRef } from "react";
+import apiService from "../services/apiService";
+import { diffLines } from "../utils/textDiff";
+
+// Unchanged lines kept around each change; longer runs are folded
+const CONTEXT_LINES = 3;
+
+const LINE_CLASSES = {
+  added: "bg-green-50 dark:bg-green-900/30 text-green-800 dark:text-green-300",
+  removed: "bg-red-50 dark:bg-red-900/30 text-red-800 dark:text-red-300",
+  same: "text-gray-700 dark:text-gray-300",
+};
+
+const LINE_MARKERS = { added: "+", removed: "-", same: " " };
+
+// Fold long unchanged stretches into { type: "skipped", count } rows
+const foldUnchanged = lines => {
+  const rows = [];
+  let run = [];
+
+  const flush = isEnd => {
+    const keepBefore = rows.length > 0 ? CONTEXT_LINES : 0;
+    const keepAfter = isEnd ? 0 : CONTEXT_LINES;
+    if (run.length > keepBefore + keepAfter + 1) {
+      rows.push(...run.slice(0, keepBefore));
+      rows.push({
+        type: "skipped",
+        count: run.length - keepBefore - keepAfter,
+      });
+      rows.push(...run.slice(run.length - keepAfter));
+    } else {
+      rows.push(...run);
+    }
+    run = [];
+  };
+
+  lines.forEach(line => {
+    if (line.type === "same") {
+      run.push(line);
+    } else {
+      flush(false);
+      rows.push(line);
+    }
+  });
+  flush(true);
+  return rows;
+};
+
+export default function DocumentVersionDiff({
+  documentId,
+  versions,
+  fromId,
+  toId,
+  onChange,
+  onClose,
+}) {
+  const [rows, setRows] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  // versionId -> extracted text, so switching versions back is instant
+  const textCacheRef = useRef({});
+
+  useEffect(() => {
+    const handleKeyDown = e => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadText = async versionId => {
+      if (!(versionId in textCacheRef.current)) {
+        const response = await apiService.getDocumentVersionText(
+          documentId,
+          versionId
+        );
+        textCacheRef.current[versionId] =
+          response.data?.text ?? response.text ?? "";
+      }
+      return textCacheRef.current[versionId];
+    };
+
+    const loadDiff = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        const [fromText, toText] = await Promise.all([
+          loadText(fromId),
+          loadText(toId),
+        ]);
+        if (!cancelled) {
+          setRows(foldUnchanged(diffLines(fromText, toText)));
+        }
+      } catch (err) {
+        console.error("Load version diff error:", err);
+        if (!cancelled) {
+          setError("Failed to compare versions: " + err.message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadDiff();
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId, fromId, toId]);
+
+  const changes = rows
+    ? rows.filter(row => row.type === "added" || row.type === "removed").length
+    : 0;
+
+  const renderVersionSelect = (value, key, label) => (
+    <select
+      value={value}
+      onChange={e => onChange({ fromId, toId, [key]: e.target.value })}
+      className="border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1.5 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+      aria-label={label}
+    >
+      {versions.map(version => (
+        <option key={version.id} value={version.id}>
+          v{version.version}
+          {version.current ? " (current)" : ""}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div
+        className="absolute inset-0 bg-black bg-opacity-50"
+        onClick={onClose}
+      />
+
+      <div className="relative w-full max-w-4xl max-h-full flex flex-col rounded-lg bg-white dark:bg-gray-800 shadow-xl border dark:border-gray-700">
+        <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center gap-2">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mr-2">
+            Compare
+          </h3>
+          {renderVersionSelect(fromId, "fromId", "Older version")}
+          <span className="text-sm text-gray-500 dark:text-gray-400">→</span>
+          {renderVersionSelect(toId, "toId", "Newer version")}
+          {rows && !loading && (
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {changes} changed lines
+            </span>
+          )}
+          <button
+            onClick={onClose}
+            className="ml-auto p-2 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-400"
+            title="Close"
+          >
+            <svg
+              className="h-5 w-5"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth="2"
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto">
+          {error ? (
+            <div className="m-4 bg-red-100 dark:bg-red-900/50 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded">
+              {error}
+            </div>
+          ) : loading || !rows ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 dark:border-indigo-400"></div>
+              <span className="ml-3 text-gray-600 dark:text-gray-400">
+                Comparing versions...
+              </span>
+            </div>
+          ) : changes === 0 ? (
+            <p className="p-6 text-center text-sm text-gray-500 dark:text-gray-400">
+              The extracted text of these versions is identical.
+            </p>
+          ) : (
+            <pre className="py-2 text-xs font-mono">
+              {rows.map((row, index) =>
+                row.type === "skipped" ? (
+                  <div
+                    key={index}
+                    className="px-4 py-1 bg-gray-100 dark:bg-gray-900 text-gray-500 dark:text-gray-400"
+                  >
+                    ⋯ {row.count} unchanged lines
+                  </div>
+                ) : (
+                  <div
+                    key={index}
+                    className={`px-4 whitespace-pre-wrap break-words ${
+                      LINE_CLASSES[row.type]
+                    }`}
+                  >
+                    {LINE_MARKERS[row.type]} {row.text}
+                  </div>
+                )
+              )}
+            </pre>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+// src/components/DocumentVersions.jsx - Version history of a document: upload a new version, restore or compare old ones
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import apiService from "../services/apiService";
+import { uploadDocumentVersion } from "../services/documentVersions";
+import { isProcessingStatus } from "../services/documentStatus";
+import { loadSupportedFileTypes } from "../services/supportedFileTypes";
+import { DEFAULT_FILE_TYPES, getAcceptAttribute } from "../config/fileTypes";
+import DocumentVersionDiff from "./DocumentVersionDiff";
+
+const STAGE_LABELS = {
+  hashing: "Checking file",
+  uploading: "Uploading",
+  saving: "Saving",
+};
+
+const formatSize = bytes =>
+  bytes ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : "";
+
+export default function DocumentVersions({ doc, onChanged }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  // { stage, progress } while a new version is going up
+  const [upload, setUpload] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+  // { fromId, toId } while the comparison is open
+  const [compare, setCompare] = useState(null);
+  const [fileTypes, setFileTypes] = useState(DEFAULT_FILE_TYPES);
+  const fileInputRef = useRef(null);
+  // Aborts the version upload if the page is left mid-way
+  const uploadControllerRef = useRef(null);
+
+  const busy = Boolean(upload || restoringId);
+  const processing = isProcessingStatus(doc.processingStatus);
+
+  useEffect(() => {
+    loadSupportedFileTypes().then(setFileTypes);
+  }, []);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getDocumentVersions(doc.id);
+      setVersions(response.data?.versions || response.data || []);
+    } catch (err) {
+      console.error("Load document versions error:", err);
+      setError("Failed to load versions: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [doc.id]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  useEffect(() => () => uploadControllerRef.current?.abort(), []);
+
+  const handleFileSelect = async e => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const controller = new AbortController();
+    uploadControllerRef.current = controller;
+    try {
+      setError("");
+      setUpload({ stage: "hashing", progress: 0 });
+      await uploadDocumentVersion(doc, file, {
+        fileTypes,
+        onProgress: setUpload,
+        signal: controller.signal,
+      });
+      await loadVersions();
+      onChanged?.();
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      console.error("Upload new version error:", err);
+      setError("Failed to upload new version: " + err.message);
+    } finally {
+      uploadControllerRef.current = null;
+      setUpload(null);
+    }
+  };
+
+  const handleRestore = async version => {
+    if (
+      !window.confirm(
+        `Restore version ${version.version}? It becomes the current version and is indexed again.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setError("");
+      setRestoringId(version.id);
+      await apiService.restoreDocumentVersion(doc.id, version.id);
+      await loadVersions();
+      onChanged?.();
+    } catch (err) {
+      console.error("Restore version error:", err);
+      setError("Failed to restore version: " + err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const currentVersion = versions.find(version => version.current);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Versions
+        </h3>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy || processing}
+          className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          title={
+            processing
+              ? "Available once processing has finished"
+              : "Replace the file, keeping this one as a previous version"
+          }
+        >
+          Upload new version
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={getAcceptAttribute(fileTypes)}
+          onChange={handleFileSelect}
+          className="hidden"
+        />
+      </div>
+
+      {upload && (
+        <div className="mb-4">
+          <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+            <span>{STAGE_LABELS[upload.stage]}...</span>
+            <span>{Math.round(upload.progress)}%</span>
+          </div>
+          <div className="bg-gray-200 dark:bg-gray-700 rounded-full h-1.5">
+            <div
+              className="bg-indigo-600 dark:bg-indigo-400 h-1.5 rounded-full transition-all duration-300"
+              style={{ width: `${upload.progress}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 bg-red-100 dark:bg-red-900/50 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-3 py-2 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600 dark:border-indigo-400"></div>
+        </div>
+      ) : versions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Only the original upload exists.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {versions.map(version => (
+            <li key={version.id} className="py-2 text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white truncate">
+                    v{version.version}
+                    {version.current && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-normal bg-green-100 dark:bg-green-900/50 text-green-800 dark:text-green-300">
+                        Current
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {version.fileName}
+                    {version.fileSize > 0 &&
+                      ` · ${formatSize(version.fileSize)}`}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {version.createdAt
+                      ? new Date(version.createdAt).toLocaleString()
+                      : "—"}
+                  </p>
+                </div>
+                {!version.current && (
+                  <div className="flex items-center space-x-3 flex-shrink-0">
+                    {currentVersion && (
+                      <button
+                        onClick={() =>
+                          setCompare({
+                            fromId: version.id,
+                            toId: currentVersion.id,
+                          })
+                        }
+                        className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300"
+                      >
+                        Compare
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleRestore(version)}
+                      disabled={busy || processing}
+                      className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {restoringId === version.id ? "Restoring..." : "Restore"}
+                    </button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {compare && (
+        <DocumentVersionDiff
+          documentId={doc.id}
+          versions={versions}
+          fromId={compare.fromId}
+          toId={compare.toId}
+          onChange={setCompare}
+          onClose={() => setCompare(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+// src/components/DocumentViewer.jsx - In-app PDF viewer panel with page jump and snippet highlight
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import {
+  useLocation,
+  useNavigate,
+  useParams,
+  useSearchParams,
+} from "react-router-dom";
+import { Document, Page, pdfjs } from "react-pdf";
+import "react-pdf/dist/esm/Page/TextLayer.css";
+import "react-pdf/dist/esm/Page/AnnotationLayer.css";
+import apiService from "../services/apiService";
+import { getFileTypeForDocument } from "../config/fileTypes";
+import { getDocumentTitle } from "../utils/documents";
+
+pdfjs.GlobalWorkerOptions.workerSrc = new URL(
+  "pdfjs-dist/build/pdf.worker.min.js",
+  import.meta.url
+).toString();
+
+// Build the viewer URL for a document, optionally at a page with a highlighted snippet
+export const getDocumentViewerPath = (documentId, { page, highlight } = {}) => {
+  const params = new URLSearchParams();
+  if (page) params.set("page", page);
+  if (highlight) params.set("q", highlight.slice(0, 300));
+  const query = params.toString();
+  return `/documents/${documentId}${query ? `?${query}` : ""}`;
+};
+
+const escapeHtml = text =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const normalizeText = text => text.replace(/\s+/g, " ").trim().toLowerCase();
+
+export default function DocumentViewer() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [doc, setDoc] = useState(null);
+  const [fileUrl, setFileUrl] = useState(null);
+  const [numPages, setNumPages] = useState(null);
+  const [pageWidth, setPageWidth] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const pageContainerRef = useRef(null);
+
+  const pageNumber = Math.max(1, Number(searchParams.get("page")) || 1);
+  const highlight = searchParams.get("q") || "";
+  // Only PDFs get the paged viewer; images are shown as-is
+  const fileType = doc ? getFileTypeForDocument(doc) : null;
+  const fileTypeId = fileType?.id || "pdf";
+  const isPdf = fileTypeId === "pdf";
+
+  useEffect(() => {
+    const loadDocument = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        setFileUrl(null);
+        setNumPages(null);
+
+        const response = await apiService.getDocument(id);
+        const documentData = response.data?.document || response.data;
+        if (!documentData?.s3Key) {
+          throw new Error("Document file is not available");
+        }
+        setDoc(documentData);
+
+        const urlResponse = await apiService.getFileUrl(documentData.s3Key);
+        const signedUrl =
+          urlResponse.data?.url ||
+          urlResponse.data?.fileUrl ||
+          urlResponse.data?.signedUrl;
+        if (!signedUrl) {
+          throw new Error("Invalid file URL response from server");
+        }
+        setFileUrl(signedUrl);
+      } catch (err) {
+        console.error("Load document viewer error:", err);
+        setError(`Failed to open document: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDocument();
+  }, [id]);
+
+  // Fit pages to the panel width
+  useEffect(() => {
+    const updateWidth = () => {
+      if (pageContainerRef.current) {
+        setPageWidth(Math.min(pageContainerRef.current.clientWidth - 32, 900));
+      }
+    };
+
+    updateWidth();
+    window.addEventListener("resize", updateWidth);
+    return () => window.removeEventListener("resize", updateWidth);
+  }, [fileUrl]);
+
+  const goToPage = nextPage => {
+    const params = new URLSearchParams(searchParams);
+    params.set("page", Math.min(Math.max(1, nextPage), numPages || nextPage));
+    setSearchParams(params, { replace: true, state: location.state });
+  };
+
+  // Return to the page the viewer was opened over, or to the document list
+  const closeViewer = () => {
+    if (location.state?.backgroundLocation) {
+      navigate(-1);
+    } else {
+      navigate("/documents");
+    }
+  };
+
+  // Mark text layer items that belong to the cited snippet
+  const normalizedHighlight = normalizeText(highlight);
+  const textRenderer = useCallback(
+    ({ str }) => {
+      const escaped = escapeHtml(str);
+      const normalized = normalizeText(str);
+      if (
+        normalizedHighlight &&
+        normalized.length > 3 &&
+        normalizedHighlight.includes(normalized)
+      ) {
+        return `<mark class="bg-yellow-300/60 text-transparent rounded-sm">${escaped}</mark>`;
+      }
+      return escaped;
+    },
+    [normalizedHighlight]
+  );
+
+  const scrollToHighlight = () => {
+    pageContainerRef.current
+      ?.querySelector("mark")
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div
+        className="absolute inset-0 bg-black bg-opacity-50"
+        onClick={closeViewer}
+      />
+
+      <div className="relative w-full md:w-2/3 lg:w-1/2 h-full flex flex-col bg-white dark:bg-gray-800 shadow-xl border-l dark:border-gray-700">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <div className="min-w-0">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white truncate">
+              {doc ? getDocumentTitle(doc) : "Document"}
+            </h3>
+            {numPages && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Page {pageNumber} of {numPages}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center space-x-2 ml-4">
+            <button
+              onClick={() => goToPage(pageNumber - 1)}
+              disabled={!numPages || pageNumber <= 1}
+              className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              title="Previous page"
+            >
+              ‹
+            </button>
+            <input
+              type="number"
+              min="1"
+              max={numPages || undefined}
+              value={pageNumber}
+              onChange={e => goToPage(Number(e.target.value))}
+              disabled={!numPages}
+              className="w-16 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm text-center bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+            />
+            <button
+              onClick={() => goToPage(pageNumber + 1)}
+              disabled={!numPages || pageNumber >= numPages}
+              className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              title="Next page"
+            >
+              ›
+            </button>
+            <button
+              onClick={closeViewer}
+              className="p-2 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-400"
+              title="Close viewer"
+            >
+              <svg
+                className="h-5 w-5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth="2"
+                  d="M6 18L18 6M6 6l12 12"
+                />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Pages */}
+        <div
+          ref={pageContainerRef}
+          className="flex-1 overflow-auto p-4 bg-gray-100 dark:bg-gray-900"
+        >
+          {error ? (
+            <div className="bg-red-100 dark:bg-red-900/50 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded">
+              {error}
+            </div>
+          ) : loading || !fileUrl ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 dark:border-indigo-400"></div>
+              <span className="ml-3 text-gray-600 dark:text-gray-400">
+                Loading document...
+              </span>
+            </div>
+          ) : ["png", "jpeg"].includes(fileTypeId) ? (
+            <img
+              src={fileUrl}
+              alt={doc.name}
+              className="mx-auto max-w-full shadow"
+            />
+          ) : !isPdf ? (
+            <div className="text-center py-12 text-gray-600 dark:text-gray-400">
+              <p>Preview isn't available for {fileType.label} files.</p>
+              <a
+                href={fileUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="mt-2 inline-block text-indigo-600 dark:text-indigo-400 hover:underline"
+              >
+                Open original file
+              </a>
+            </div>
+          ) : (
+            <Document
+              file={fileUrl}
+              onLoadSuccess={({ numPages }) => setNumPages(numPages)}
+              onLoadError={err =>
+                setError(`Failed to render PDF: ${err.message}`)
+              }
+              className="flex justify-center"
+              loading={
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  Rendering...
+                </span>
+              }
+            >
+              <Page
+                pageNumber={Math.min(pageNumber, numPages || pageNumber)}
+                width={pageWidth || undefined}
+                customTextRenderer={textRenderer}
+                onRenderTextLayerSuccess={scrollToHighlight}
+                className="shadow"
+              />
+            </Document>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
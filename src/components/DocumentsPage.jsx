@@ -0,0 +1,32 @@
+// src/components/DocumentsPage.jsx - Documents tab: upload panel, document list and viewer route
+import React, { useState } from "react";
+import { Outlet, useOutletContext } from "react-router-dom";
+import DocumentUpload from "./DocumentUpload";
+import DocumentList from "./DocumentList";
+
+export default function DocumentsPage() {
+  const { onUploadComplete } = useOutletContext();
+  // Bumped after each upload so the list picks up the new documents
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const handleUploadComplete = () => {
+    setRefreshKey(prev => prev + 1);
+    onUploadComplete?.();
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-1">
+          <DocumentUpload onUploadComplete={handleUploadComplete} />
+        </div>
+        <div className="lg:col-span-2">
+          <DocumentList refreshKey={refreshKey} />
+        </div>
+      </div>
+
+      {/* Document viewer panel (/documents/:id) */}
+      <Outlet />
+    </>
+  );
+}
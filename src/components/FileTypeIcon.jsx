@@ -0,0 +1,37 @@
+// src/components/FileTypeIcon.jsx - Document icon colored and labelled by file format
+import React from "react";
+import { getFileTypeForDocument } from "../config/fileTypes";
+
+const TYPE_COLORS = {
+  pdf: "text-red-500 dark:text-red-400",
+  docx: "text-blue-600 dark:text-blue-400",
+  pptx: "text-orange-500 dark:text-orange-400",
+  txt: "text-gray-500 dark:text-gray-400",
+  md: "text-gray-700 dark:text-gray-300",
+  html: "text-emerald-600 dark:text-emerald-400",
+  png: "text-purple-500 dark:text-purple-400",
+  jpeg: "text-purple-500 dark:text-purple-400",
+};
+
+export default function FileTypeIcon({ doc, className = "h-8 w-8" }) {
+  const type = getFileTypeForDocument(doc);
+  const color = TYPE_COLORS[type?.id] || "text-gray-400 dark:text-gray-500";
+
+  return (
+    <div
+      className={`relative flex-shrink-0 ${className} ${color}`}
+      title={type?.label || "Unknown type"}
+    >
+      <svg className="h-full w-full" fill="currentColor" viewBox="0 0 20 20">
+        <path
+          fillRule="evenodd"
+          d="M4 4a2 2 0 012-2h4.586A2 2 0 0112 2.586L15.414 6A2 2 0 0116 7.414V16a2 2 0 01-2 2H6a2 2 0 01-2-2V4z"
+          clipRule="evenodd"
+        />
+      </svg>
+      <span className="absolute inset-x-0 bottom-1 text-center text-[8px] font-bold uppercase leading-none text-white">
+        {type?.id || "?"}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+// src/components/MarkdownRenderer.jsx - Safe GFM renderer for assistant answers
+import React, { useMemo } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import CodeBlock from "./CodeBlock";
+
+const CITATION_PATTERN = /\[(\d+)\]/g;
+const CITATION_HREF_PREFIX = "#cite-";
+
+// Split a text node so every in-range [n] marker becomes a citation link
+const splitCitations = (node, citationCount) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  node.value.replace(CITATION_PATTERN, (marker, number, offset) => {
+    const index = Number(number);
+    if (index < 1 || index > citationCount) return marker;
+
+    if (offset > lastIndex) {
+      parts.push({ type: "text", value: node.value.slice(lastIndex, offset) });
+    }
+    parts.push({
+      type: "link",
+      url: `${CITATION_HREF_PREFIX}${index}`,
+      children: [{ type: "text", value: marker }],
+    });
+    lastIndex = offset + marker.length;
+    return marker;
+  });
+
+  if (parts.length === 0) return [node];
+  if (lastIndex < node.value.length) {
+    parts.push({ type: "text", value: node.value.slice(lastIndex) });
+  }
+  return parts;
+};
+
+// remark plugin: show raw HTML as literal text instead of dropping or
+// rendering it, and link [n] citation markers to the message sources.
+const remarkChatContent =
+  ({ citationCount = 0 } = {}) =>
+  tree => {
+    const walk = parent => {
+      if (!parent.children) return;
+
+      parent.children = parent.children.flatMap(child => {
+        if (child.type === "html") {
+          const text = { type: "text", value: child.value };
+          return parent.type === "root"
+            ? [{ type: "paragraph", children: [text] }]
+            : [text];
+        }
+        if (child.type === "text" && citationCount > 0) {
+          return splitCitations(child, citationCount);
+        }
+        if (child.type !== "link") {
+          walk(child);
+        }
+        return [child];
+      });
+    };
+
+    walk(tree);
+  };
+
+const getLanguage = className => /language-(\S+)/.exec(className || "")?.[1];
+
+export default function MarkdownRenderer({
+  content,
+  citationCount = 0,
+  onCitationClick,
+}) {
+  const components = useMemo(
+    () => ({
+      h1: ({ node, children, ...props }) => (
+        <h1 className="text-2xl font-bold mt-4 mb-2" {...props}>
+          {children}
+        </h1>
+      ),
+      h2: ({ node, children, ...props }) => (
+        <h2 className="text-xl font-semibold mt-4 mb-2" {...props}>
+          {children}
+        </h2>
+      ),
+      h3: ({ node, children, ...props }) => (
+        <h3 className="text-lg font-semibold mt-4 mb-2" {...props}>
+          {children}
+        </h3>
+      ),
+      p: ({ node, ...props }) => (
+        <p className="my-2 whitespace-pre-wrap" {...props} />
+      ),
+      strong: ({ node, ...props }) => (
+        <strong className="font-semibold" {...props} />
+      ),
+      em: ({ node, ...props }) => <em className="italic" {...props} />,
+      ul: ({ node, ...props }) => (
+        <ul className="list-disc ml-5 my-2 space-y-1" {...props} />
+      ),
+      ol: ({ node, ...props }) => (
+        <ol className="list-decimal ml-5 my-2 space-y-1" {...props} />
+      ),
+      blockquote: ({ node, ...props }) => (
+        <blockquote
+          className="border-l-4 border-gray-300 dark:border-gray-600 pl-3 my-2 text-gray-600 dark:text-gray-300"
+          {...props}
+        />
+      ),
+      table: ({ node, ...props }) => (
+        <div className="overflow-x-auto my-2">
+          <table
+            className="min-w-full text-sm border border-gray-300 dark:border-gray-600"
+            {...props}
+          />
+        </div>
+      ),
+      th: ({ node, ...props }) => (
+        <th
+          className="px-3 py-1 border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 font-semibold text-left"
+          {...props}
+        />
+      ),
+      td: ({ node, ...props }) => (
+        <td
+          className="px-3 py-1 border border-gray-300 dark:border-gray-600"
+          {...props}
+        />
+      ),
+      a: ({ node, href, children, ...props }) => {
+        if (href?.startsWith(CITATION_HREF_PREFIX)) {
+          const index = Number(href.slice(CITATION_HREF_PREFIX.length));
+          return (
+            <button
+              type="button"
+              onClick={() => onCitationClick?.(index)}
+              className="align-super text-xs font-medium text-indigo-600 dark:text-indigo-400 hover:underline"
+            >
+              {children}
+            </button>
+          );
+        }
+        return (
+          <a
+            href={href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-600 dark:text-blue-400 hover:underline"
+            {...props}
+          >
+            {children}
+          </a>
+        );
+      },
+      code: ({ node, className, ...props }) => (
+        <code
+          className="bg-gray-100 dark:bg-gray-800 px-1 py-0.5 rounded text-sm"
+          {...props}
+        />
+      ),
+      pre: ({ node, children }) => {
+        const codeElement = React.Children.toArray(children)[0];
+        const { className, children: code } = codeElement?.props || {};
+
+        return (
+          <CodeBlock
+            code={React.Children.toArray(code).join("").replace(/\n$/, "")}
+            language={getLanguage(className)}
+          />
+        );
+      },
+    }),
+    [onCitationClick]
+  );
+
+  if (!content) return null;
+
+  return (
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, [remarkChatContent, { citationCount }]]}
+      components={components}
+    >
+      {content}
+    </ReactMarkdown>
+  );
+}
@@ -0,0 +1,115 @@
+// src/components/MarkdownRenderer.test.jsx - Unsafe and edge-case Markdown in assistant answers
+import React from "react";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import MarkdownRenderer from "./MarkdownRenderer";
+import { ThemeProvider } from "../context/ThemeContext";
+
+const renderMarkdown = (content, props = {}) =>
+  render(
+    <ThemeProvider>
+      <MarkdownRenderer content={content} {...props} />
+    </ThemeProvider>
+  );
+
+// Matches the element whose whole text is `text`, e.g. one highlighted code line
+const byWholeText = text => (_, element) => element.textContent === text;
+
+describe("MarkdownRenderer", () => {
+  test("shows <script> tags as text instead of running them", () => {
+    renderMarkdown('<script>alert("xss")</script>\n\nAfter');
+
+    // A real <script> element would not include its own tags in its text
+    expect(
+      screen.getByText('<script>alert("xss")</script>')
+    ).toBeInTheDocument();
+    expect(screen.getByText("After")).toBeInTheDocument();
+  });
+
+  test("shows inline raw HTML as text", () => {
+    renderMarkdown('Hello <img src="x" onerror="alert(1)"> <b>bold</b>');
+
+    expect(screen.queryByRole("img")).not.toBeInTheDocument();
+    expect(
+      screen.getByText('Hello <img src="x" onerror="alert(1)"> <b>bold</b>')
+    ).toBeInTheDocument();
+  });
+
+  test("strips javascript: links", () => {
+    renderMarkdown("[click me](javascript:alert(1))");
+
+    const link = screen.getByText("click me");
+    expect(link).not.toHaveAttribute(
+      "href",
+      expect.stringMatching(/javascript:/i)
+    );
+  });
+
+  test("keeps ordinary links, opening them in a new tab", () => {
+    renderMarkdown("[docs](https://example.com/docs)");
+
+    const link = screen.getByRole("link", { name: "docs" });
+    expect(link).toHaveAttribute("href", "https://example.com/docs");
+    expect(link).toHaveAttribute("target", "_blank");
+    expect(link).toHaveAttribute("rel", "noopener noreferrer");
+  });
+
+  test("renders GFM tables", () => {
+    renderMarkdown("| Name | Size |\n| --- | --- |\n| a.pdf | 2 MB |");
+
+    expect(screen.getByRole("table")).toBeInTheDocument();
+    expect(
+      screen.getByRole("columnheader", { name: "Name" })
+    ).toBeInTheDocument();
+    expect(screen.getByRole("cell", { name: "a.pdf" })).toBeInTheDocument();
+  });
+
+  test("renders nested lists", () => {
+    renderMarkdown("- outer\n  - inner\n    1. deepest\n- second");
+
+    const [outer, inner, deepest] = screen.getAllByRole("list");
+    expect(within(outer).getAllByRole("list")).toHaveLength(2);
+    expect(within(inner).getByRole("list")).toBe(deepest);
+    expect(within(deepest).getByText("deepest")).toBeInTheDocument();
+    expect(within(outer).getByText("second")).toBeInTheDocument();
+  });
+
+  test("keeps * and _ inside fenced code literal", () => {
+    renderMarkdown("```\nconst a = b * c * d;\nlet _x_ = __y__;\n```");
+
+    expect(
+      screen.getByText(byWholeText("const a = b * c * d;"))
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(byWholeText("let _x_ = __y__;"))
+    ).toBeInTheDocument();
+  });
+
+  test("turns [n] markers into citation buttons only within range", () => {
+    const onCitationClick = jest.fn();
+    renderMarkdown("See [1] and [2], but not [3] or [0].", {
+      citationCount: 2,
+      onCitationClick,
+    });
+
+    expect(screen.getByRole("button", { name: "[1]" })).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "[2]" })).toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "[3]" })
+    ).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "[0]" })
+    ).not.toBeInTheDocument();
+    expect(screen.getByText(/but not \[3\] or \[0\]/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "[2]" }));
+    expect(onCitationClick).toHaveBeenCalledWith(2);
+  });
+
+  test("leaves [n] markers as text when there are no sources", () => {
+    renderMarkdown("Nothing to cite [1].");
+
+    expect(screen.queryByRole("button")).not.toBeInTheDocument();
+    expect(screen.getByText("Nothing to cite [1].")).toBeInTheDocument();
+  });
+});
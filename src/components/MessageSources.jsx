@@ -0,0 +1,138 @@
+// src/components/MessageSources.jsx - Collapsible retrieval sources under an assistant answer
+import React, { useEffect } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { getDocumentViewerPath } from "./DocumentViewer";
+
+// Map the backend's retrieval context onto a flat list of sources.
+// Accepts an array of chunks or an object wrapping one ({ sources | chunks | documents }).
+export const normalizeSources = context => {
+  const items = Array.isArray(context)
+    ? context
+    : context?.sources || context?.chunks || context?.documents || [];
+
+  if (!Array.isArray(items)) return [];
+
+  return items.map((item, index) => ({
+    index: index + 1,
+    documentId:
+      item.documentId || item.document?.id || item.metadata?.documentId,
+    documentName:
+      item.documentName ||
+      item.fileName ||
+      item.document?.name ||
+      item.metadata?.fileName ||
+      item.metadata?.source ||
+      "Unknown document",
+    page:
+      item.page ??
+      item.pageNumber ??
+      item.metadata?.page ??
+      item.metadata?.pageNumber ??
+      null,
+    snippet:
+      item.snippet || item.text || item.content || item.pageContent || "",
+    score: item.score ?? null,
+  }));
+};
+
+export const getSourceElementId = (messageId, index) =>
+  `source-${messageId}-${index}`;
+
+export default function MessageSources({
+  messageId,
+  sources,
+  open,
+  activeIndex,
+  onToggle,
+  linkDocuments = true,
+}) {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Bring the cited entry into view when a citation marker is clicked
+  useEffect(() => {
+    if (!open || !activeIndex) return;
+    const element = document.getElementById(
+      getSourceElementId(messageId, activeIndex)
+    );
+    element?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }, [open, activeIndex, messageId]);
+
+  if (!sources || sources.length === 0) return null;
+
+  return (
+    <div className="mt-3 border-t border-gray-200 dark:border-gray-600 pt-2">
+      <button
+        onClick={onToggle}
+        className="flex items-center text-xs font-medium text-gray-600 dark:text-gray-300 hover:text-indigo-600 dark:hover:text-indigo-400"
+      >
+        <svg
+          className={`h-3 w-3 mr-1 transition-transform ${
+            open ? "rotate-90" : ""
+          }`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M9 5l7 7-7 7"
+          />
+        </svg>
+        Sources ({sources.length})
+      </button>
+
+      {open && (
+        <ol className="mt-2 space-y-2">
+          {sources.map(source => (
+            <li
+              key={source.index}
+              id={getSourceElementId(messageId, source.index)}
+              className={`text-xs rounded-md p-2 border ${
+                activeIndex === source.index
+                  ? "border-indigo-400 dark:border-indigo-500 bg-indigo-50 dark:bg-indigo-900/30"
+                  : "border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-800"
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                {source.documentId && linkDocuments ? (
+                  <button
+                    onClick={() =>
+                      navigate(
+                        getDocumentViewerPath(source.documentId, {
+                          page: source.page,
+                          highlight: source.snippet,
+                        }),
+                        { state: { backgroundLocation: location } }
+                      )
+                    }
+                    className="font-medium text-left text-indigo-600 dark:text-indigo-400 hover:underline truncate"
+                    title="Open in document viewer"
+                  >
+                    [{source.index}] {source.documentName}
+                  </button>
+                ) : (
+                  <span className="font-medium text-gray-900 dark:text-white truncate">
+                    [{source.index}] {source.documentName}
+                  </span>
+                )}
+                {source.page !== null && (
+                  <span className="ml-2 flex-shrink-0 text-gray-500 dark:text-gray-400">
+                    p. {source.page}
+                  </span>
+                )}
+              </div>
+              {source.snippet && (
+                <p className="mt-1 text-gray-600 dark:text-gray-300 line-clamp-3 whitespace-pre-wrap">
+                  {source.snippet}
+                </p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+// src/components/ReprocessDialog.jsx - Confirm reprocessing, showing why ingestion failed and the options to retry with
+import React, { useState, useEffect } from "react";
+import apiService from "../services/apiService";
+import { fetchDocumentStatus } from "../services/documentStatus";
+import { getDocumentTitle } from "../utils/documents";
+
+const defaultValues = options =>
+  Object.fromEntries(
+    options.map(option => [
+      option.id,
+      option.default ?? (option.type === "boolean" ? false : ""),
+    ])
+  );
+
+// `documents` are the ones known here; a select-all-matching run only knows
+// the `count`
+export default function ReprocessDialog({
+  documents,
+  count = documents.length,
+  onClose,
+  onConfirm,
+}) {
+  const [options, setOptions] = useState([]);
+  const [values, setValues] = useState({});
+  const [loadingOptions, setLoadingOptions] = useState(true);
+  const [failureReason, setFailureReason] = useState(null);
+
+  const single = count === 1 ? documents[0] : null;
+  const failedCount = documents.filter(
+    doc => doc.processingStatus === "failed"
+  ).length;
+
+  useEffect(() => {
+    const handleKeyDown = e => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  // Older backends have no configurable options; reprocess with defaults
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const response = await apiService.getIngestionOptions();
+        const list = response.data?.options || response.data || [];
+        if (Array.isArray(list)) {
+          setOptions(list);
+          setValues(defaultValues(list));
+        }
+      } catch (error) {
+        console.error("Error loading ingestion options:", error);
+      } finally {
+        setLoadingOptions(false);
+      }
+    };
+
+    loadOptions();
+  }, []);
+
+  // The list payload may not carry the error; ask the status endpoint
+  useEffect(() => {
+    if (single?.processingStatus !== "failed") return;
+    if (single.processingError) {
+      setFailureReason(single.processingError);
+      return;
+    }
+
+    fetchDocumentStatus(single.id)
+      .then(status => setFailureReason(status.error))
+      .catch(error => console.error("Error loading failure reason:", error));
+  }, [single]);
+
+  const setValue = (id, value) => {
+    setValues(prev => ({ ...prev, [id]: value }));
+  };
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    // Only send what differs from the backend's defaults
+    const changed = Object.fromEntries(
+      options
+        .filter(
+          option =>
+            values[option.id] !== "" && values[option.id] !== option.default
+        )
+        .map(option => [option.id, values[option.id]])
+    );
+    onConfirm(changed);
+  };
+
+  const renderField = option => {
+    const id = `ingestion-${option.id}`;
+    if (option.type === "boolean") {
+      return (
+        <label key={option.id} className="flex items-center text-sm">
+          <input
+            id={id}
+            type="checkbox"
+            checked={Boolean(values[option.id])}
+            onChange={e => setValue(option.id, e.target.checked)}
+            className="h-4 w-4 text-indigo-600 border-gray-300 dark:border-gray-600 rounded focus:ring-indigo-500"
+          />
+          <span className="ml-2 text-gray-700 dark:text-gray-300">
+            {option.label}
+          </span>
+        </label>
+      );
+    }
+
+    return (
+      <div key={option.id}>
+        <label
+          htmlFor={id}
+          className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+        >
+          {option.label}
+        </label>
+        {option.type === "select" ? (
+          <select
+            id={id}
+            value={values[option.id]}
+            onChange={e => setValue(option.id, e.target.value)}
+            className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          >
+            {(option.choices || []).map(choice => (
+              <option
+                key={choice.value ?? choice}
+                value={choice.value ?? choice}
+              >
+                {choice.label ?? choice}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <input
+            id={id}
+            type="number"
+            min={option.min}
+            max={option.max}
+            value={values[option.id]}
+            onChange={e =>
+              setValue(
+                option.id,
+                e.target.value === "" ? "" : Number(e.target.value)
+              )
+            }
+            className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div
+        className="absolute inset-0 bg-black bg-opacity-50"
+        onClick={onClose}
+      />
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative w-full max-w-md rounded-lg bg-white dark:bg-gray-800 shadow-xl border dark:border-gray-700"
+      >
+        <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white truncate">
+            {single
+              ? `Reprocess "${getDocumentTitle(single)}"`
+              : `Reprocess ${count} documents`}
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            The stored file is ingested again and its search index rebuilt.
+          </p>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {single && single.processingStatus === "failed" && (
+            <div className="bg-red-100 dark:bg-red-900/50 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 px-3 py-2 rounded text-sm">
+              <p className="font-medium">Last attempt failed</p>
+              <p className="mt-1 break-words">
+                {failureReason || "The server didn't report a reason."}
+              </p>
+            </div>
+          )}
+          {!single && failedCount > 0 && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {failedCount} of these failed last time.
+            </p>
+          )}
+
+          {loadingOptions ? (
+            <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-600 dark:border-gray-400 mr-2"></div>
+              Loading ingestion options...
+            </div>
+          ) : (
+            options.length > 0 && (
+              <div className="space-y-3">
+                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                  Ingestion options
+                </p>
+                {options.map(renderField)}
+              </div>
+            )
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={loadingOptions}
+            className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Reprocess
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
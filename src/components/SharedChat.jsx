@@ -0,0 +1,181 @@
+// src/components/SharedChat.jsx - Public read-only view of a shared chat
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import apiService from "../services/apiService";
+import MarkdownRenderer from "./MarkdownRenderer";
+import MessageSources, { normalizeSources } from "./MessageSources";
+import ThemeToggle from "./ThemeToggle";
+
+export default function SharedChat() {
+  const { token } = useParams();
+  const [chat, setChat] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [expandedSources, setExpandedSources] = useState({});
+
+  useEffect(() => {
+    const loadSharedChat = async () => {
+      try {
+        setLoading(true);
+        setError("");
+
+        const response = await apiService.getSharedChat(token);
+        const chatData = response.data?.chat || response.data;
+        if (!chatData) {
+          throw new Error("Invalid shared chat response from server");
+        }
+        setChat(chatData);
+      } catch (err) {
+        console.error("Load shared chat error:", err);
+        setError(
+          err.status === 404 || err.status === 410
+            ? "This link is invalid or has been revoked by its owner."
+            : "This shared chat couldn't be loaded. Please try again later."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSharedChat();
+  }, [token]);
+
+  const toggleSources = messageId => {
+    setExpandedSources(prev => {
+      const next = { ...prev };
+      if (messageId in next) {
+        delete next[messageId];
+      } else {
+        next[messageId] = null;
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <nav className="bg-white dark:bg-gray-800 shadow">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between h-16">
+            <div className="flex items-center">
+              <div className="text-2xl mr-3">🤖</div>
+              <h1 className="text-xl font-semibold text-gray-900 dark:text-white">
+                Atlas AI
+              </h1>
+              <span className="ml-3 px-2 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                Shared chat · read-only
+              </span>
+            </div>
+            <div className="flex items-center space-x-4">
+              <ThemeToggle />
+              <Link
+                to="/signin"
+                className="text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300"
+              >
+                Sign in
+              </Link>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-4xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 dark:border-indigo-400"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">
+              Loading shared chat...
+            </span>
+          </div>
+        ) : error ? (
+          <div className="bg-red-100 dark:bg-red-900/50 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded">
+            {error}
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 shadow rounded-lg">
+            <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="text-lg font-medium text-gray-900 dark:text-white">
+                {chat.title || "Untitled Chat"}
+              </h2>
+              {chat.createdAt && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 md:text-sm">
+                  {new Date(chat.createdAt).toLocaleString()}
+                </p>
+              )}
+            </div>
+
+            <div className="p-3 md:p-4 space-y-4">
+              {(chat.messages || []).length === 0 && (
+                <p className="text-sm text-center text-gray-500 dark:text-gray-400 py-8">
+                  This chat has no messages.
+                </p>
+              )}
+              {(chat.messages || []).map((message, index) => {
+                const sources =
+                  message.role === "assistant"
+                    ? normalizeSources(message.context || message.sources)
+                    : [];
+
+                return (
+                  <div
+                    key={message.id || index}
+                    className={`flex ${
+                      message.role === "user" ? "justify-end" : "justify-start"
+                    }`}
+                  >
+                    <div
+                      className={`max-w-[85%] lg:max-w-2xl px-4 py-3 rounded-lg ${
+                        message.role === "user"
+                          ? "bg-indigo-600 dark:bg-indigo-600 text-white"
+                          : "bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white"
+                      }`}
+                    >
+                      {message.role === "user" ? (
+                        <p className="text-sm whitespace-pre-wrap">
+                          {message.content}
+                        </p>
+                      ) : (
+                        <div className="prose prose-sm max-w-none dark:prose-invert">
+                          <MarkdownRenderer
+                            content={message.content}
+                            citationCount={sources.length}
+                            onCitationClick={citationIndex =>
+                              setExpandedSources(prev => ({
+                                ...prev,
+                                [message.id]: citationIndex,
+                              }))
+                            }
+                          />
+                        </div>
+                      )}
+                      <MessageSources
+                        messageId={message.id}
+                        sources={sources}
+                        open={message.id in expandedSources}
+                        activeIndex={expandedSources[message.id]}
+                        onToggle={() => toggleSources(message.id)}
+                        linkDocuments={false}
+                      />
+                      {message.createdAt && (
+                        <p
+                          className={`text-xs mt-2 ${
+                            message.role === "user"
+                              ? "text-indigo-200 dark:text-indigo-300"
+                              : "text-gray-500 dark:text-gray-400"
+                          }`}
+                        >
+                          {new Date(message.createdAt).toLocaleTimeString()}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,10 +1,13 @@
 // src/components/SignIn.jsx - Updated with dark theme
 import { useState, useCallback, useEffect, useMemo } from "react";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { useTheme } from "../context/ThemeContext";
 import ThemeToggle from "./ThemeToggle";
 
+// Only same-origin paths; "//host" and "/\host" would leave the app
+const isAppPath = path => /^\/(?![/\\])/.test(path || "");
+
 const useFormValidation = (email, password) => {
   return useMemo(() => {
     const errors = {};
@@ -30,6 +33,7 @@ const useFormValidation = (email, password) => {
 
 export default function SignIn() {
   const navigate = useNavigate();
+  const location = useLocation();
   const { signIn, isAuthenticated, loading: authLoading } = useAuth();
 
   const [formData, setFormData] = useState({
@@ -45,11 +49,21 @@ export default function SignIn() {
     formData.password
   );
 
+  // ProtectedRoute passes the page the user was trying to reach; an expired
+  // session reloads the app, so it arrives as ?from= instead
+  const from = location.state?.from;
+  const fromParam = new URLSearchParams(location.search).get("from");
+  const redirectTo = from
+    ? `${from.pathname}${from.search || ""}${from.hash || ""}`
+    : isAppPath(fromParam)
+    ? fromParam
+    : "/";
+
   useEffect(() => {
     if (isAuthenticated && !authLoading) {
-      navigate("/", { replace: true });
+      navigate(redirectTo, { replace: true });
     }
-  }, [isAuthenticated, authLoading, navigate]);
+  }, [isAuthenticated, authLoading, navigate, redirectTo]);
 
   const handleInputChange = useCallback(
     field => e => {
@@ -91,7 +105,7 @@ export default function SignIn() {
 
       try {
         await signIn(formData.email.trim(), formData.password);
-        navigate("/", { replace: true });
+        navigate(redirectTo, { replace: true });
       } catch (err) {
         console.error("Sign-in error:", err);
 
@@ -108,7 +122,7 @@ export default function SignIn() {
         setLoading(false);
       }
     },
-    [isValid, errors, formData, signIn, navigate]
+    [isValid, errors, formData, signIn, navigate, redirectTo]
   );
 
   const handleKeyPress = useCallback(
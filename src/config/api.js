@@ -16,6 +16,7 @@ export const API_ENDPOINTS = {
   S3_FILE: `${BASE_URL}/api/s3/file`,
   S3_FILE_URL: `${BASE_URL}/api/s3/file-url`,
   S3_DOWNLOAD_URL: `${BASE_URL}/api/s3/download-url`,
+  S3_MULTIPART: `${BASE_URL}/api/s3/multipart`,
 
   // Documents
   DOCUMENTS: `${BASE_URL}/api/documents`,
@@ -23,6 +24,7 @@ export const API_ENDPOINTS = {
 
   // Chats
   CHATS: `${BASE_URL}/api/chats`,
+  SHARES: `${BASE_URL}/api/shares`,
 
   // Health
   HEALTH: `${BASE_URL}/health`,
@@ -0,0 +1,78 @@
+// src/config/fileTypes.js
+// Document formats the uploader accepts. The backend can override this list
+// (GET /api/documents/supported-types); these defaults are used when it doesn't.
+export const DEFAULT_FILE_TYPES = [
+  {
+    id: "pdf",
+    label: "PDF",
+    extensions: [".pdf"],
+    mimeTypes: ["application/pdf"],
+  },
+  {
+    id: "docx",
+    label: "Word",
+    extensions: [".docx"],
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+  },
+  {
+    id: "pptx",
+    label: "PowerPoint",
+    extensions: [".pptx"],
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ],
+  },
+  {
+    id: "txt",
+    label: "Text",
+    extensions: [".txt"],
+    mimeTypes: ["text/plain"],
+  },
+  {
+    id: "md",
+    label: "Markdown",
+    extensions: [".md", ".markdown"],
+    mimeTypes: ["text/markdown", "text/x-markdown"],
+  },
+  {
+    id: "html",
+    label: "HTML",
+    extensions: [".html", ".htm"],
+    mimeTypes: ["text/html"],
+  },
+  {
+    id: "png",
+    label: "PNG",
+    extensions: [".png"],
+    mimeTypes: ["image/png"],
+  },
+  {
+    id: "jpeg",
+    label: "JPEG",
+    extensions: [".jpg", ".jpeg"],
+    mimeTypes: ["image/jpeg"],
+  },
+];
+
+export const getExtension = fileName => {
+  const match = /\.[^.]+$/.exec(fileName || "");
+  return match ? match[0].toLowerCase() : "";
+};
+
+export const getFileTypeByName = (fileName, types = DEFAULT_FILE_TYPES) =>
+  types.find(type => type.extensions.includes(getExtension(fileName))) || null;
+
+// Stored documents may carry a MIME type; older ones only have a name
+export const getFileTypeForDocument = (doc, types = DEFAULT_FILE_TYPES) => {
+  const contentType = doc?.contentType || doc?.mimeType || doc?.fileType;
+  return (
+    types.find(type => type.mimeTypes.includes(contentType)) ||
+    getFileTypeByName(doc?.name || doc?.fileName, types)
+  );
+};
+
+// Value for an <input type="file" accept="..."> attribute
+export const getAcceptAttribute = types =>
+  types.flatMap(type => [...type.extensions, ...type.mimeTypes]).join(",");
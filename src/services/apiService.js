@@ -2,6 +2,36 @@
 import Cookies from "js-cookie";
 import { API_ENDPOINTS } from "../config/api";
 
+// Chat retrieval searches only each document's current version, never the
+// superseded ones kept for history
+const CHAT_VERSION_SCOPE = "current";
+
+// Parse one `text/event-stream` block into { event, data }
+const parseServerSentEvent = block => {
+  let event = "token";
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach(line => {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).replace(/^ /, ""));
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join("\n");
+  if (raw === "[DONE]") return { event: "done", data: null };
+
+  try {
+    const data = JSON.parse(raw);
+    return { event: data?.type || event, data };
+  } catch (e) {
+    return { event, data: raw };
+  }
+};
+
 class ApiService {
   constructor() {
     this.baseURL = API_ENDPOINTS;
@@ -29,17 +59,120 @@ class ApiService {
       const data = await response.json();
 
       if (!response.ok) {
-        if (response.status === 401) {
-          this.clearAuth();
-          window.location.href = "/signin";
-          throw new Error("Session expired. Please sign in again.");
-        }
-        throw new Error(data.message || `HTTP ${response.status}`);
+        this.handleErrorResponse(response, data);
       }
 
       return data;
     } catch (error) {
-      console.error("API Request Error:", error);
+      if (error.name !== "AbortError") {
+        console.error("API Request Error:", error);
+      }
+      throw error;
+    }
+  }
+
+  handleErrorResponse(response, data) {
+    if (response.status === 401) {
+      this.clearAuth();
+      // Come back to this page once signed in again
+      const { pathname, search, hash } = window.location;
+      window.location.href =
+        pathname === "/signin"
+          ? `/signin${search}`
+          : `/signin?from=${encodeURIComponent(pathname + search + hash)}`;
+      throw new Error("Session expired. Please sign in again.");
+    }
+    const error = new Error(data?.message || `HTTP ${response.status}`);
+    error.status = response.status;
+    error.code = data?.code;
+    throw error;
+  }
+
+  /**
+   * Request that may answer with a token stream instead of JSON.
+   * Supports `text/event-stream` (token / done / error events) and plain
+   * chunked text bodies. If the server replies with JSON the parsed body is
+   * returned as-is, so callers can fall back to the non-streaming flow.
+   * Pass `options.signal` (AbortController) to cancel mid-stream.
+   * Returns: { success, data, streamed }
+   */
+  async streamRequest(url, options = {}, onToken) {
+    const config = {
+      ...options,
+      headers: {
+        ...this.getAuthHeaders(),
+        Accept: "text/event-stream, application/json",
+        ...options.headers,
+      },
+    };
+
+    try {
+      const response = await fetch(url, config);
+      const contentType = response.headers.get("Content-Type") || "";
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        this.handleErrorResponse(response, data);
+      }
+
+      if (contentType.includes("application/json") || !response.body) {
+        const data = await response.json();
+        return { ...data, streamed: false };
+      }
+
+      const isEventStream = contentType.includes("text/event-stream");
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let answer = "";
+      let result = null;
+
+      const handleEvent = ({ event, data }) => {
+        if (event === "error") {
+          throw new Error(data?.message || "Stream failed");
+        }
+        if (event === "done") {
+          result = data;
+          return;
+        }
+        const token = typeof data === "string" ? data : data?.token;
+        if (token) {
+          answer += token;
+          onToken?.(token);
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const chunk = decoder.decode(value, { stream: true });
+        if (!isEventStream) {
+          answer += chunk;
+          onToken?.(chunk);
+          continue;
+        }
+
+        buffer += chunk;
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.map(parseServerSentEvent).filter(Boolean).forEach(handleEvent);
+      }
+
+      if (isEventStream && buffer.trim()) {
+        const event = parseServerSentEvent(buffer);
+        if (event) handleEvent(event);
+      }
+
+      return {
+        success: true,
+        streamed: true,
+        data: { ...result, answer: result?.answer ?? answer },
+      };
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("API Stream Error:", error);
+      }
       throw error;
     }
   }
@@ -75,9 +208,27 @@ class ApiService {
     });
   }
 
-  async uploadFile(uploadUrl, file, onProgress) {
+  // PUT to a presigned URL. The URL is signed for a content type, which can
+  // differ from the browser's guess in file.type; aborting `signal` rejects
+  // with an AbortError.
+  async uploadFile(
+    uploadUrl,
+    file,
+    onProgress,
+    { contentType = file.type, signal } = {}
+  ) {
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException("Upload was aborted", "AbortError"));
+        return;
+      }
+
       const xhr = new XMLHttpRequest();
+      const abort = () => xhr.abort();
+      signal?.addEventListener("abort", abort, { once: true });
+      xhr.addEventListener("loadend", () => {
+        signal?.removeEventListener("abort", abort);
+      });
 
       xhr.upload.addEventListener("progress", e => {
         if (e.lengthComputable) {
@@ -90,16 +241,20 @@ class ApiService {
         if (xhr.status === 200) {
           resolve();
         } else {
-          reject(new Error(`Upload failed: ${xhr.status}`));
+          reject(new Error(`Upload failed with status: ${xhr.status}`));
         }
       });
 
       xhr.addEventListener("error", () => {
-        reject(new Error("Upload failed"));
+        reject(new Error("Network error during upload"));
+      });
+
+      xhr.addEventListener("abort", () => {
+        reject(new DOMException("Upload was aborted", "AbortError"));
       });
 
       xhr.open("PUT", uploadUrl);
-      xhr.setRequestHeader("Content-Type", file.type);
+      xhr.setRequestHeader("Content-Type", contentType);
       xhr.send(file);
     });
   }
@@ -118,29 +273,193 @@ class ApiService {
     return this.request(`${API_ENDPOINTS.S3_DOWNLOAD_URL}/${fileKey}`);
   }
 
+  // S3 Multipart Upload Methods (large files, uploaded in resumable parts)
+  async createMultipartUpload(fileName, contentType, fileSize) {
+    return this.request(API_ENDPOINTS.S3_MULTIPART, {
+      method: "POST",
+      body: JSON.stringify({ fileName, contentType, fileSize }),
+    });
+  }
+
+  async getMultipartPartUrl(key, uploadId, partNumber) {
+    return this.request(`${API_ENDPOINTS.S3_MULTIPART}/${uploadId}/parts`, {
+      method: "POST",
+      body: JSON.stringify({ key, partNumber }),
+    });
+  }
+
+  async listMultipartParts(key, uploadId) {
+    return this.request(
+      `${API_ENDPOINTS.S3_MULTIPART}/${uploadId}/parts?key=${encodeURIComponent(
+        key
+      )}`
+    );
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    return this.request(`${API_ENDPOINTS.S3_MULTIPART}/${uploadId}/complete`, {
+      method: "POST",
+      body: JSON.stringify({ key, parts }),
+    });
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    return this.request(
+      `${API_ENDPOINTS.S3_MULTIPART}/${uploadId}?key=${encodeURIComponent(
+        key
+      )}`,
+      { method: "DELETE" }
+    );
+  }
+
   // Document Methods
-  async processDocument(s3Key, fileName, contentType, fileSize) {
+  // metadata carries optional document fields such as collection (folder path)
+  async processDocument(s3Key, fileName, contentType, fileSize, metadata = {}) {
     return this.request(API_ENDPOINTS.DOCUMENTS_PROCESS, {
       method: "POST",
-      body: JSON.stringify({ s3Key, fileName, contentType, fileSize }),
+      body: JSON.stringify({
+        s3Key,
+        fileName,
+        contentType,
+        fileSize,
+        ...metadata,
+      }),
+    });
+  }
+
+  // Without params the full list comes back. With them the server pages,
+  // sorts and filters: page, limit, sort, order, search, status, type,
+  // from, to (ISO dates), minSize, maxSize (bytes), collection (includes
+  // subfolders), tag. Paged responses are { documents, total, page, limit }
+  async getDocuments(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        query.set(key, value);
+      }
     });
+    const queryString = query.toString();
+    return this.request(
+      queryString
+        ? `${API_ENDPOINTS.DOCUMENTS}?${queryString}`
+        : API_ENDPOINTS.DOCUMENTS
+    );
   }
 
-  async getDocuments() {
-    return this.request(API_ENDPOINTS.DOCUMENTS);
+  // Filter options across all documents: { collections, tags }
+  async getDocumentFacets() {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/facets`);
   }
 
   async getDocument(id) {
     return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}`);
   }
 
+  // Upload formats the backend can ingest: { types: [{ id, label, extensions, mimeTypes }] }
+  async getSupportedFileTypes() {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/supported-types`);
+  }
+
+  // Existing documents whose content matches any of the SHA-256 hashes
+  async findDocumentsByHash(hashes) {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/lookup-hashes`, {
+      method: "POST",
+      body: JSON.stringify({ hashes }),
+    });
+  }
+
   async getDocumentStatus(id) {
     return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}/status`);
   }
 
-  async deleteDocument(id) {
+  // Processing events, oldest first: { history: [{ status, stage, message, createdAt }] }
+  async getDocumentHistory(id) {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}/history`);
+  }
+
+  // Extracted text chunks, paged:
+  // { chunks: [{ id, index, page, text, embeddingStatus }], total, embedded }
+  async getDocumentChunks(id, { page = 1, limit = 20 } = {}) {
+    const query = new URLSearchParams({ page, limit }).toString();
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}/chunks?${query}`);
+  }
+
+  // Where the document has been cited: { chatCount, citationCount }
+  async getDocumentUsage(id) {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}/usage`);
+  }
+
+  // Editable metadata: title, description, tags, collection
+  async updateDocument(id, data) {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    });
+  }
+
+  // Re-run ingestion on the file already stored at s3Key, optionally with
+  // different ingestion options (see getIngestionOptions)
+  async reprocessDocument(id, s3Key, options = {}) {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}/reprocess`, {
+      method: "POST",
+      body: JSON.stringify({ s3Key, options }),
+    });
+  }
+
+  // Ingestion settings the backend lets callers change:
+  // { options: [{ id, label, type: "number" | "boolean" | "select", default, min, max, choices }] }
+  async getIngestionOptions() {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/ingestion-options`);
+  }
+
+  // Versions, newest first:
+  // { versions: [{ id, version, fileName, fileSize, contentHash, createdAt, current }] }
+  async getDocumentVersions(id) {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}/versions`);
+  }
+
+  // Attach an uploaded file as the document's newest version. The document
+  // keeps its id, so chats scoped to it search the new file once ingested.
+  async createDocumentVersion(
+    id,
+    s3Key,
+    fileName,
+    contentType,
+    fileSize,
+    metadata = {}
+  ) {
+    return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}/versions`, {
+      method: "POST",
+      body: JSON.stringify({
+        s3Key,
+        fileName,
+        contentType,
+        fileSize,
+        ...metadata,
+      }),
+    });
+  }
+
+  // Make an earlier version current again; it is re-indexed for retrieval
+  async restoreDocumentVersion(id, versionId) {
+    return this.request(
+      `${API_ENDPOINTS.DOCUMENTS}/${id}/versions/${versionId}/restore`,
+      { method: "POST" }
+    );
+  }
+
+  // Extracted text of one version, for comparing versions: { text }
+  async getDocumentVersionText(id, versionId) {
+    return this.request(
+      `${API_ENDPOINTS.DOCUMENTS}/${id}/versions/${versionId}/text`
+    );
+  }
+
+  // keepalive lets the request finish while the page is being closed
+  async deleteDocument(id, { keepalive = false } = {}) {
     return this.request(`${API_ENDPOINTS.DOCUMENTS}/${id}`, {
       method: "DELETE",
+      keepalive,
     });
   }
 
@@ -149,29 +468,99 @@ class ApiService {
   /**
    * Create new chat with initial query
    * POST /api/chats
-   * Body: { query, title }
+   * Body: { query, title, documentIds?, versions: "current" }
+   * `documentIds` limits retrieval to those documents (whole corpus if empty);
+   * `versions` asks for only each document's current version to be searched
    * Returns: { success, data: { chat, message } }
    */
-  async createChat(query, title) {
+  async createChat(query, title, documentIds) {
     return this.request(API_ENDPOINTS.CHATS, {
       method: "POST",
-      body: JSON.stringify({ query, title }),
+      body: JSON.stringify({
+        query,
+        title,
+        documentIds,
+        versions: CHAT_VERSION_SCOPE,
+      }),
     });
   }
 
   /**
    * Send message to existing chat
    * POST /api/chats/{chatId}/query
-   * Body: { query }
+   * Body: { query, documentIds?, versions: "current" }
    * Returns: { success, data: { userMessage, assistantMessage, context } }
    */
-  async sendMessage(chatId, query) {
+  async sendMessage(chatId, query, documentIds) {
     return this.request(`${API_ENDPOINTS.CHATS}/${chatId}/query`, {
       method: "POST",
-      body: JSON.stringify({ query }),
+      body: JSON.stringify({
+        query,
+        documentIds,
+        versions: CHAT_VERSION_SCOPE,
+      }),
     });
   }
 
+  /**
+   * Create new chat and stream the answer as it is generated
+   * POST /api/chats
+   * Body: { query, title, documentIds?, versions: "current", stream: true }
+   * Streams: token events, then done: { chatId, messageId, userMessageId, answer, context }
+   * Returns: { success, data: { chatId, messageId, userMessageId, answer, context }, streamed }
+   */
+  async createChatStream(query, title, onToken, { signal, documentIds } = {}) {
+    return this.streamRequest(
+      API_ENDPOINTS.CHATS,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          query,
+          title,
+          documentIds,
+          versions: CHAT_VERSION_SCOPE,
+          stream: true,
+        }),
+        signal,
+      },
+      onToken
+    );
+  }
+
+  /**
+   * Send message to existing chat and stream the answer
+   * POST /api/chats/{chatId}/query
+   * Body: { query, documentIds?, versions: "current", stream: true, regenerateMessageId?, editMessageId? }
+   * `regenerateMessageId` re-asks the query as a new attempt of that answer;
+   * `editMessageId` branches the chat from that user message with a new query.
+   * Streams: token events, then done: { messageId, userMessageId, answer, context }
+   * Returns: { success, data: { messageId, userMessageId, answer, context }, streamed }
+   * `userMessageId` is the id the server gave the query (absent on regenerate)
+   */
+  async sendMessageStream(
+    chatId,
+    query,
+    onToken,
+    { signal, documentIds, regenerateMessageId, editMessageId } = {}
+  ) {
+    return this.streamRequest(
+      `${API_ENDPOINTS.CHATS}/${chatId}/query`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          query,
+          documentIds,
+          versions: CHAT_VERSION_SCOPE,
+          stream: true,
+          regenerateMessageId,
+          editMessageId,
+        }),
+        signal,
+      },
+      onToken
+    );
+  }
+
   /**
    * Get all chats for user
    * GET /api/chats?includeMessages=true
@@ -195,7 +584,7 @@ class ApiService {
   }
 
   /**
-   * Update chat (title, description)
+   * Update chat (title, description, documentIds, pinned, folder)
    * PUT /api/chats/{id}
    */
   async updateChat(id, data) {
@@ -205,6 +594,48 @@ class ApiService {
     });
   }
 
+  /**
+   * Create (or return the existing) read-only share link for a chat
+   * POST /api/chats/{id}/share
+   * Returns: { token }
+   */
+  async createChatShare(id) {
+    return this.request(`${API_ENDPOINTS.CHATS}/${id}/share`, {
+      method: "POST",
+    });
+  }
+
+  /**
+   * Revoke a chat's share link
+   * DELETE /api/chats/{id}/share
+   */
+  async revokeChatShare(id) {
+    return this.request(`${API_ENDPOINTS.CHATS}/${id}/share`, {
+      method: "DELETE",
+    });
+  }
+
+  /**
+   * Get a shared chat with messages (public, no auth required)
+   * GET /api/shares/{token}
+   * Sent without credentials: a visitor's expired session must not turn
+   * into a sign-in redirect. Failures carry the HTTP `status`.
+   */
+  async getSharedChat(token) {
+    const response = await fetch(`${API_ENDPOINTS.SHARES}/${token}`, {
+      credentials: "omit",
+      headers: { Accept: "application/json" },
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const error = new Error(data?.message || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
   /**
    * Delete chat
    * DELETE /api/chats/{id}
@@ -0,0 +1,130 @@
+// src/services/bulkDocuments.js - Run an action over many documents with progress and per-item results
+import apiService from "./apiService";
+import { createZip } from "../utils/zipArchive";
+import { downloadFile } from "../utils/download";
+import { getDocumentTitle } from "../utils/documents";
+
+const BULK_CONCURRENCY = 4;
+const FETCH_PAGE_SIZE = 100;
+// Selecting everything is meant for a filtered list, not a whole archive
+const MAX_FETCH_PAGES = 50;
+
+/**
+ * Call task(doc) for every document, a few at a time. One failure doesn't
+ * stop the rest; each is reported with its error message.
+ * Returns: { succeeded: [doc], failed: [{ doc, error }] }
+ */
+export const runBulk = async (docs, task, { onProgress } = {}) => {
+  const queue = [...docs];
+  const succeeded = [];
+  const failed = [];
+  let done = 0;
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const doc = queue.shift();
+      try {
+        await task(doc);
+        succeeded.push(doc);
+      } catch (error) {
+        console.error(`Bulk action failed for document ${doc.id}:`, error);
+        failed.push({ doc, error: error.message });
+      }
+      done += 1;
+      onProgress?.(done, docs.length);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(BULK_CONCURRENCY, docs.length) }, worker)
+  );
+  return { succeeded, failed };
+};
+
+// Every document matching the list's filters, walking through the pages.
+// Stops early if the backend runs out of pages or keeps returning the same one.
+export const fetchAllMatching = async params => {
+  const docs = [];
+  const seenIds = new Set();
+  for (let page = 1; page <= MAX_FETCH_PAGES; page++) {
+    const response = await apiService.getDocuments({
+      ...params,
+      page,
+      limit: FETCH_PAGE_SIZE,
+    });
+    const pageDocs = response.data?.documents || response.data || [];
+    const total = response.data?.total ?? response.data?.pagination?.total;
+    const newDocs = pageDocs.filter(doc => !seenIds.has(doc.id));
+    newDocs.forEach(doc => seenIds.add(doc.id));
+    docs.push(...newDocs);
+    if (
+      newDocs.length === 0 ||
+      pageDocs.length < FETCH_PAGE_SIZE ||
+      docs.length >= total
+    ) {
+      return docs;
+    }
+  }
+  throw new Error(
+    `More than ${
+      MAX_FETCH_PAGES * FETCH_PAGE_SIZE
+    } documents match; narrow the filters and try again`
+  );
+};
+
+const fetchDocumentBlob = async doc => {
+  let url = doc.s3Url;
+  if (doc.s3Key) {
+    const response = await apiService.getFileUrl(doc.s3Key);
+    url =
+      response.data?.url ||
+      response.data?.fileUrl ||
+      response.data?.signedUrl ||
+      url;
+  }
+  if (!url) {
+    throw new Error("Document download URL not available");
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.blob();
+};
+
+/**
+ * Download the documents' original files as one ZIP, laid out by collection.
+ * Returns: the runBulk result for the files that were fetched
+ */
+export const downloadDocumentsZip = async (docs, { onProgress } = {}) => {
+  const entries = [];
+  const usedPaths = new Set();
+
+  const result = await runBulk(
+    docs,
+    async doc => {
+      const blob = await fetchDocumentBlob(doc);
+      const name = doc.name || doc.fileName || getDocumentTitle(doc);
+      const basePath = doc.collection ? `${doc.collection}/${name}` : name;
+
+      // Same-named files in one folder get a " (2)" suffix
+      let path = basePath;
+      for (let n = 2; usedPaths.has(path); n++) {
+        path = basePath.replace(/(\.[^./]+)?$/, ` (${n})$1`);
+      }
+      usedPaths.add(path);
+
+      const lastModified = Date.parse(doc.createdAt) || undefined;
+      entries.push({ path, blob, lastModified });
+    },
+    { onProgress }
+  );
+
+  if (entries.length > 0) {
+    const zip = await createZip(entries);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`documents-${date}.zip`, zip, "application/zip");
+  }
+  return result;
+};
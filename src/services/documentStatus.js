@@ -0,0 +1,72 @@
+// src/services/documentStatus.js - Poll a document's ingestion status until it finishes
+import apiService from "./apiService";
+import { wait } from "../utils/wait";
+
+const INITIAL_DELAY = 1000;
+const MAX_DELAY = 15000;
+const BACKOFF = 1.5;
+const MAX_CONSECUTIVE_ERRORS = 5;
+
+export const ACTIVE_STATUSES = ["pending", "processing"];
+
+export const isProcessingStatus = status => ACTIVE_STATUSES.includes(status);
+
+const STAGE_LABELS = {
+  queued: "Queued",
+  downloading: "Fetching file",
+  extracting: "Extracting text",
+  ocr: "Running OCR",
+  chunking: "Chunking",
+  embedding: "Embedding",
+  indexing: "Indexing",
+};
+
+export const getStageLabel = stage =>
+  STAGE_LABELS[stage] || (stage ? stage.replace(/[_-]/g, " ") : "");
+
+// Flatten the status payload; the backend has used a few field names
+const normalizeStatus = response => {
+  const data = response.data?.document || response.data || response;
+  return {
+    status: data.processingStatus || data.status || "pending",
+    stage: data.processingStage || data.stage || null,
+    progress: data.progress ?? null,
+    error: data.processingError || data.error || data.errorMessage || null,
+  };
+};
+
+// One-off status check, e.g. for the latest failure reason
+export const fetchDocumentStatus = async id =>
+  normalizeStatus(await apiService.getDocumentStatus(id));
+
+/**
+ * Poll GET /api/documents/{id}/status with exponential backoff, reporting
+ * every update, until the document is completed or failed.
+ * Returns: the final { status, stage, progress, error }
+ */
+export const watchDocumentStatus = async (id, onUpdate, { signal } = {}) => {
+  let delay = INITIAL_DELAY;
+  let errors = 0;
+
+  for (;;) {
+    await wait(delay, signal);
+
+    try {
+      const update = await fetchDocumentStatus(id);
+      errors = 0;
+      onUpdate?.(update);
+      if (!isProcessingStatus(update.status)) {
+        return update;
+      }
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      errors += 1;
+      console.error(`Status check failed for document ${id}:`, error);
+      if (errors >= MAX_CONSECUTIVE_ERRORS) {
+        throw error;
+      }
+    }
+
+    delay = Math.min(delay * BACKOFF, MAX_DELAY);
+  }
+};
@@ -0,0 +1,61 @@
+// src/services/documentVersions.js - Upload a revised file as a new version of an existing document
+import apiService from "./apiService";
+import { uploadToStorage } from "./fileUpload";
+import { hashFile } from "./fileHash";
+import { detectFileType } from "../utils/fileSniffer";
+import { DEFAULT_FILE_TYPES } from "../config/fileTypes";
+
+/**
+ * Upload `file` and attach it to `doc` as its newest version. The document
+ * keeps its id, title, tags and chats; the old file stays listed as a
+ * previous version. Progress is reported as { stage, progress } for the
+ * "hashing" and "uploading" stages, then "saving" once the file is stored.
+ * Callers that have already sniffed and hashed the file (the uploader's
+ * "Replace" choice) pass contentType and contentHash to skip those steps.
+ * Returns: the createDocumentVersion response
+ */
+export const uploadDocumentVersion = async (
+  doc,
+  file,
+  {
+    fileTypes = DEFAULT_FILE_TYPES,
+    contentType,
+    contentHash,
+    onProgress,
+    signal,
+  } = {}
+) => {
+  if (!contentType) {
+    const { type, error } = await detectFileType(file, fileTypes);
+    if (error) {
+      throw new Error(error);
+    }
+    contentType = type.mimeTypes[0];
+  }
+
+  if (!contentHash) {
+    contentHash = await hashFile(file, {
+      signal,
+      onProgress: progress => onProgress?.({ stage: "hashing", progress }),
+    });
+  }
+  if (doc.contentHash && contentHash === doc.contentHash) {
+    throw new Error("This file is identical to the current version");
+  }
+
+  const key = await uploadToStorage(file, {
+    contentType,
+    signal,
+    onProgress: progress => onProgress?.({ stage: "uploading", progress }),
+  });
+  onProgress?.({ stage: "saving", progress: 100 });
+
+  return apiService.createDocumentVersion(
+    doc.id,
+    key,
+    file.name,
+    contentType,
+    file.size,
+    { contentHash }
+  );
+};
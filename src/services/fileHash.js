@@ -0,0 +1,67 @@
+// src/services/fileHash.js - Content hashes for uploads, computed in a Web Worker
+let worker = null;
+let nextRequestId = 1;
+// requestId -> { resolve, reject, onProgress }
+const requests = new Map();
+
+const handleMessage = ({ data }) => {
+  const request = requests.get(data.id);
+  if (!request) return;
+
+  if (data.progress !== undefined) {
+    request.onProgress?.(data.progress);
+    return;
+  }
+
+  requests.delete(data.id);
+  if (data.hash) {
+    request.resolve(data.hash);
+  } else if (data.cancelled) {
+    request.reject(new DOMException("Hashing was aborted", "AbortError"));
+  } else {
+    request.reject(new Error(data.error || "Hashing failed"));
+  }
+};
+
+// One worker hashes files in order, so a big drop doesn't spawn dozens
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(
+      new URL("../workers/fileHash.worker.js", import.meta.url)
+    );
+    worker.addEventListener("message", handleMessage);
+    worker.addEventListener("error", event => {
+      console.error("File hash worker error:", event);
+      requests.forEach(request =>
+        request.reject(new Error("File hash worker crashed"))
+      );
+      requests.clear();
+      worker.terminate();
+      worker = null;
+    });
+  }
+  return worker;
+};
+
+/**
+ * SHA-256 of a file's content as a hex string. Aborting `signal` drops the
+ * file from the worker's queue or stops it between chunks.
+ */
+export const hashFile = (file, { onProgress, signal } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Hashing was aborted", "AbortError"));
+      return;
+    }
+
+    const id = nextRequestId++;
+    requests.set(id, { resolve, reject, onProgress });
+    const hashWorker = getWorker();
+    hashWorker.postMessage({ id, file });
+
+    signal?.addEventListener(
+      "abort",
+      () => hashWorker.postMessage({ type: "cancel", id }),
+      { once: true }
+    );
+  });
@@ -0,0 +1,33 @@
+// src/services/fileUpload.js - Put a file in S3 before it is registered as a document or a version
+import apiService from "./apiService";
+import { MULTIPART_THRESHOLD, uploadMultipart } from "./multipartUpload";
+
+/**
+ * Upload `file` as `contentType`: large files go up in resumable parts,
+ * the rest in one presigned PUT. Progress is reported as a percentage and
+ * aborting `signal` rejects with an AbortError.
+ * Returns: the S3 key to pass to processDocument or createDocumentVersion
+ */
+export const uploadToStorage = async (
+  file,
+  { contentType = file.type, onProgress, signal } = {}
+) => {
+  if (file.size > MULTIPART_THRESHOLD) {
+    const { key } = await uploadMultipart(file, {
+      contentType,
+      onProgress,
+      signal,
+    });
+    return key;
+  }
+
+  const response = await apiService.getUploadUrl(file.name, contentType);
+  if (!response.data?.uploadUrl || !response.data?.key) {
+    throw new Error("Invalid upload URL response from server");
+  }
+  await apiService.uploadFile(response.data.uploadUrl, file, onProgress, {
+    contentType,
+    signal,
+  });
+  return response.data.key;
+};
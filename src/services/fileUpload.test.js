@@ -0,0 +1,94 @@
+// src/services/fileUpload.test.js - Single-PUT uploads and their retries
+import apiService from "./apiService";
+import { uploadToStorage } from "./fileUpload";
+import { isTransientError, retryTransient } from "./uploadRetry";
+
+// Answers each PUT with the next status in `statuses`; 0 is a network error
+const mockXhr = statuses => {
+  const requests = [];
+
+  class FakeXMLHttpRequest {
+    constructor() {
+      this.listeners = {};
+      this.upload = { addEventListener: () => {} };
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    open(method, url) {
+      requests.push({ method, url });
+    }
+
+    setRequestHeader() {}
+
+    send() {
+      this.status = statuses.shift();
+      setTimeout(() => {
+        this.listeners[this.status === 0 ? "error" : "load"]?.();
+        this.listeners.loadend?.();
+      }, 0);
+    }
+
+    abort() {}
+  }
+
+  window.XMLHttpRequest = FakeXMLHttpRequest;
+  return requests;
+};
+
+const makeFile = () => new File(["hello"], "notes.txt", { type: "text/plain" });
+
+describe("uploadToStorage", () => {
+  const OriginalXMLHttpRequest = window.XMLHttpRequest;
+
+  beforeEach(() => {
+    jest.spyOn(apiService, "getUploadUrl").mockResolvedValue({
+      data: { uploadUrl: "https://s3.example/put", key: "uploads/notes.txt" },
+    });
+  });
+
+  afterEach(() => {
+    window.XMLHttpRequest = OriginalXMLHttpRequest;
+    jest.restoreAllMocks();
+  });
+
+  test("rejects a 503 PUT with an error that is retried", async () => {
+    mockXhr([503]);
+
+    const error = await uploadToStorage(makeFile()).catch(err => err);
+    expect(error.message).toMatch(/503/);
+    expect(isTransientError(error)).toBe(true);
+  });
+
+  test("rejects a dropped connection with an error that is retried", async () => {
+    mockXhr([0]);
+
+    const error = await uploadToStorage(makeFile()).catch(err => err);
+    expect(isTransientError(error)).toBe(true);
+  });
+
+  test("retries a single PUT that failed with 503", async () => {
+    const requests = mockXhr([503, 200]);
+    const onRetry = jest.fn();
+
+    const key = await retryTransient(() => uploadToStorage(makeFile()), {
+      baseDelay: 0,
+      onRetry,
+    });
+
+    expect(key).toBe("uploads/notes.txt");
+    expect(requests).toHaveLength(2);
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+
+  test("does not retry a 403 PUT", async () => {
+    const requests = mockXhr([403, 200]);
+
+    await expect(
+      retryTransient(() => uploadToStorage(makeFile()), { baseDelay: 0 })
+    ).rejects.toThrow(/403/);
+    expect(requests).toHaveLength(1);
+  });
+});
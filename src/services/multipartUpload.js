@@ -0,0 +1,255 @@
+// src/services/multipartUpload.js - Resumable S3 multipart uploads with parallel, retried parts
+import apiService from "./apiService";
+import { wait } from "../utils/wait";
+
+const STORAGE_KEY = "atlas-ai-multipart-uploads";
+
+// Files above this size are sent in parts instead of a single PUT
+export const MULTIPART_THRESHOLD = 16 * 1024 * 1024; // 16MB
+
+const MIN_PART_SIZE = 8 * 1024 * 1024; // S3 requires >= 5MB per part
+const MAX_PARTS = 10000; // S3 limit per upload
+const PART_CONCURRENCY = 4;
+const PART_ATTEMPTS = 3;
+
+// A File can't survive a reload, so saved uploads are matched by these fields
+export const getFileFingerprint = file =>
+  `${file.name}:${file.size}:${file.lastModified}`;
+
+const readSavedUploads = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const writeSavedUploads = uploads => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(uploads));
+};
+
+const saveUpload = upload => {
+  writeSavedUploads({ ...readSavedUploads(), [upload.fingerprint]: upload });
+};
+
+const forgetUpload = fingerprint => {
+  const uploads = readSavedUploads();
+  delete uploads[fingerprint];
+  writeSavedUploads(uploads);
+};
+
+export const getSavedUploads = () => Object.values(readSavedUploads());
+
+export const getSavedUpload = file =>
+  readSavedUploads()[getFileFingerprint(file)] || null;
+
+// Forget an interrupted upload and let S3 drop its stored parts
+export const discardSavedUpload = async upload => {
+  forgetUpload(upload.fingerprint);
+  try {
+    await apiService.abortMultipartUpload(upload.key, upload.uploadId);
+  } catch (error) {
+    console.error("Abort multipart upload error:", error);
+  }
+};
+
+// PUT one part; S3 answers with the part's ETag, which must be listed in
+// the bucket's CORS ExposeHeaders to be readable here
+const putPart = (url, blob, onProgress, signal) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const abort = () => xhr.abort();
+    signal?.addEventListener("abort", abort, { once: true });
+    xhr.addEventListener("loadend", () => {
+      signal?.removeEventListener("abort", abort);
+    });
+
+    xhr.upload.addEventListener("progress", e => {
+      if (e.lengthComputable) {
+        onProgress(e.loaded);
+      }
+    });
+
+    xhr.addEventListener("load", () => {
+      const etag = xhr.getResponseHeader("ETag");
+      if (xhr.status !== 200) {
+        reject(new Error(`Upload failed with status: ${xhr.status}`));
+      } else if (!etag) {
+        reject(new Error("S3 did not expose the part ETag"));
+      } else {
+        resolve(etag);
+      }
+    });
+
+    xhr.addEventListener("error", () => {
+      reject(new Error("Network error during upload"));
+    });
+
+    xhr.addEventListener("abort", () => {
+      reject(new DOMException("Upload was aborted", "AbortError"));
+    });
+
+    xhr.open("PUT", url);
+    xhr.send(blob);
+  });
+
+// Upload one part, fetching a fresh presigned URL for every attempt
+const uploadPart = async (upload, file, partNumber, onProgress, signal) => {
+  const start = (partNumber - 1) * upload.partSize;
+  const blob = file.slice(start, Math.min(start + upload.partSize, file.size));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await apiService.getMultipartPartUrl(
+        upload.key,
+        upload.uploadId,
+        partNumber
+      );
+      const url = response.data?.url || response.data?.uploadUrl;
+      if (!url) {
+        throw new Error("Invalid part URL response from server");
+      }
+      return await putPart(url, blob, onProgress, signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (attempt >= PART_ATTEMPTS) {
+        throw new Error(`Part ${partNumber} failed: ${error.message}`);
+      }
+      console.warn(`Retrying part ${partNumber} (attempt ${attempt}):`, error);
+      onProgress(0);
+      await wait(1000 * 2 ** (attempt - 1), signal);
+    }
+  }
+};
+
+// S3 has dropped the upload (completed, aborted or expired elsewhere)
+const isUnknownUpload = error =>
+  error.status === 404 || /NoSuchUpload/i.test(error.code || error.message);
+
+// Pick up a saved upload if S3 still knows it, syncing the finished parts.
+// Other failures are passed on so the saved upload can be resumed later.
+const resumeUpload = async upload => {
+  try {
+    const response = await apiService.listMultipartParts(
+      upload.key,
+      upload.uploadId
+    );
+    const parts = response.data?.parts || response.data || [];
+    const uploadedParts = {};
+    parts.forEach(part => {
+      uploadedParts[part.partNumber ?? part.PartNumber] =
+        part.etag ?? part.ETag;
+    });
+    return { ...upload, parts: uploadedParts };
+  } catch (error) {
+    if (!isUnknownUpload(error)) throw error;
+    console.warn("Saved multipart upload is no longer valid:", error);
+    forgetUpload(upload.fingerprint);
+    return null;
+  }
+};
+
+/**
+ * Upload a file to S3 in parts, resuming a previously interrupted upload of
+ * the same file when one is saved. Aborting `signal` stops in-flight parts
+ * and keeps the finished ones saved for a later resume.
+ * Returns: { key } of the assembled object
+ */
+export const uploadMultipart = async (
+  file,
+  { contentType, onProgress, signal }
+) => {
+  const savedUpload = getSavedUpload(file);
+  let upload = savedUpload && (await resumeUpload(savedUpload));
+
+  if (!upload) {
+    const response = await apiService.createMultipartUpload(
+      file.name,
+      contentType,
+      file.size
+    );
+    const { uploadId, key } = response.data || {};
+    if (!uploadId || !key) {
+      throw new Error("Invalid multipart upload response from server");
+    }
+
+    upload = {
+      fingerprint: getFileFingerprint(file),
+      fileName: file.name,
+      fileSize: file.size,
+      key,
+      uploadId,
+      partSize: Math.max(MIN_PART_SIZE, Math.ceil(file.size / MAX_PARTS)),
+      parts: {},
+      startedAt: new Date().toISOString(),
+    };
+  }
+  saveUpload(upload);
+
+  const totalParts = Math.ceil(file.size / upload.partSize);
+  const partSizeOf = partNumber =>
+    Math.min(upload.partSize, file.size - (partNumber - 1) * upload.partSize);
+
+  // Bytes sent per part, so parallel parts add up to one progress value
+  const loadedBytes = {};
+  const reportProgress = () => {
+    const loaded = Object.values(loadedBytes).reduce((a, b) => a + b, 0);
+    onProgress?.((loaded / file.size) * 100);
+  };
+
+  const pendingParts = [];
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    if (upload.parts[partNumber]) {
+      loadedBytes[partNumber] = partSizeOf(partNumber);
+    } else {
+      pendingParts.push(partNumber);
+    }
+  }
+  reportProgress();
+
+  // A few workers pull parts off the queue; the first failure stops new
+  // parts from starting, and finished parts stay saved for a later resume
+  let failure = null;
+  const worker = async () => {
+    while (!failure && !signal?.aborted && pendingParts.length > 0) {
+      const partNumber = pendingParts.shift();
+      try {
+        const etag = await uploadPart(
+          upload,
+          file,
+          partNumber,
+          loaded => {
+            loadedBytes[partNumber] = loaded;
+            reportProgress();
+          },
+          signal
+        );
+        upload.parts[partNumber] = etag;
+        saveUpload(upload);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+  await Promise.all(
+    Array.from(
+      { length: Math.min(PART_CONCURRENCY, pendingParts.length) },
+      worker
+    )
+  );
+  // An abort makes in-flight parts fail too; report it as the abort it is
+  if (signal?.aborted) {
+    throw new DOMException("Upload was aborted", "AbortError");
+  }
+  if (failure) throw failure;
+
+  const parts = Object.keys(upload.parts)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(partNumber => ({ partNumber, etag: upload.parts[partNumber] }));
+
+  await apiService.completeMultipartUpload(upload.key, upload.uploadId, parts);
+  forgetUpload(upload.fingerprint);
+
+  return { key: upload.key };
+};
@@ -0,0 +1,26 @@
+// src/services/supportedFileTypes.js - Document formats the backend can ingest, fetched once per page load
+import apiService from "./apiService";
+import { DEFAULT_FILE_TYPES } from "../config/fileTypes";
+
+let pending = null;
+
+// Resolves to the backend's list, or the defaults when it has none; never rejects
+export const loadSupportedFileTypes = () => {
+  if (!pending) {
+    pending = apiService
+      .getSupportedFileTypes()
+      .then(response => {
+        const types = response.data?.types || response.data;
+        return Array.isArray(types) && types.length > 0
+          ? types
+          : DEFAULT_FILE_TYPES;
+      })
+      .catch(error => {
+        console.error("Error loading supported file types:", error);
+        // Let the next caller try again
+        pending = null;
+        return DEFAULT_FILE_TYPES;
+      });
+  }
+  return pending;
+};
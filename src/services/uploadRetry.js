@@ -0,0 +1,37 @@
+// src/services/uploadRetry.js - Retry uploads that failed for reasons likely to pass
+import { wait } from "../utils/wait";
+
+export const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 2000;
+
+// Network drops, throttling and server errors are worth retrying; client
+// errors and validation failures will just fail again
+export const isTransientError = error =>
+  /network|timeout|failed to fetch|HTTP (429|5\d\d)|status: (0|429|5\d\d)/i.test(
+    error?.message || ""
+  );
+
+/**
+ * Run task(), retrying transient failures with exponential backoff.
+ * onRetry(error, attempt, delay) is called before each wait; aborting
+ * `signal` stops retrying and rejects with the last error or an AbortError.
+ * Returns: whatever task() resolves to
+ */
+export const retryTransient = async (
+  task,
+  { signal, retries = MAX_RETRIES, baseDelay = RETRY_BASE_DELAY, onRetry } = {}
+) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (signal?.aborted || attempt > retries || !isTransientError(error)) {
+        throw error;
+      }
+
+      const delay = baseDelay * 2 ** (attempt - 1);
+      onRetry?.(error, attempt, delay);
+      await wait(delay, signal);
+    }
+  }
+};
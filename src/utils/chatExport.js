@@ -0,0 +1,168 @@
+// src/utils/chatExport.js - Markdown, printable HTML and JSON exports of chats
+import React from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { normalizeSources } from "../components/MessageSources";
+
+const ROLE_LABELS = { user: "You", assistant: "Atlas AI" };
+
+const getRoleLabel = role => ROLE_LABELS[role] || role || "Message";
+
+const formatDate = value => (value ? new Date(value).toLocaleString() : "");
+
+const getSources = message =>
+  message.role === "assistant"
+    ? normalizeSources(message.context || message.sources)
+    : [];
+
+const escapeHtml = text =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatSourceLabel = source =>
+  `${source.documentName}${source.page ? `, p. ${source.page}` : ""}`;
+
+// Safe filename from the chat title, e.g. "Quarterly report" -> "quarterly-report.md"
+export const getExportFilename = (chat, extension) => {
+  const slug = (chat?.title || "chat")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${slug || "chat"}.${extension}`;
+};
+
+export const chatToMarkdown = chat => {
+  const lines = [`# ${chat.title || "Untitled Chat"}`, ""];
+  if (chat.createdAt) {
+    lines.push(`_Created ${formatDate(chat.createdAt)}_`, "");
+  }
+
+  (chat.messages || []).forEach(message => {
+    const time = formatDate(message.createdAt);
+    lines.push(
+      `### ${getRoleLabel(message.role)}${time ? ` · ${time}` : ""}`,
+      ""
+    );
+    lines.push(message.content || "", "");
+
+    const sources = getSources(message);
+    if (sources.length > 0) {
+      lines.push("**Sources**", "");
+      sources.forEach(source => {
+        lines.push(`${source.index}. ${formatSourceLabel(source)}`);
+        if (source.snippet) {
+          lines.push(`   > ${source.snippet.replace(/\s+/g, " ").trim()}`);
+        }
+      });
+      lines.push("");
+    }
+  });
+
+  return lines.join("\n").trim() + "\n";
+};
+
+export const chatToJson = chat => ({
+  id: chat.id,
+  title: chat.title || null,
+  createdAt: chat.createdAt || null,
+  documentIds: chat.documentIds || [],
+  folder: chat.folder || null,
+  messages: (chat.messages || []).map(message => ({
+    id: message.id,
+    role: message.role,
+    content: message.content || "",
+    createdAt: message.createdAt || null,
+    sources: getSources(message),
+  })),
+});
+
+const renderMarkdown = content =>
+  renderToStaticMarkup(
+    React.createElement(ReactMarkdown, { remarkPlugins: [remarkGfm] }, content)
+  );
+
+const chatToHtmlSection = chat => {
+  const messages = (chat.messages || [])
+    .map(message => {
+      const sources = getSources(message);
+      const sourceList =
+        sources.length > 0
+          ? `<ol class="sources">${sources
+              .map(
+                source =>
+                  `<li><strong>${escapeHtml(
+                    formatSourceLabel(source)
+                  )}</strong>${
+                    source.snippet
+                      ? `<blockquote>${escapeHtml(source.snippet)}</blockquote>`
+                      : ""
+                  }</li>`
+              )
+              .join("")}</ol>`
+          : "";
+
+      return `<div class="message ${escapeHtml(message.role)}">
+  <div class="meta">${escapeHtml(getRoleLabel(message.role))} · ${escapeHtml(
+        formatDate(message.createdAt)
+      )}</div>
+  ${renderMarkdown(message.content || "")}
+  ${sourceList}
+</div>`;
+    })
+    .join("\n");
+
+  return `<section>
+<h1>${escapeHtml(chat.title || "Untitled Chat")}</h1>
+<p class="meta">${escapeHtml(formatDate(chat.createdAt))}</p>
+${messages}
+</section>`;
+};
+
+// Standalone print-ready page for one or more chats
+export const chatsToHtml = chats => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(
+  chats.length === 1 ? chats[0].title || "Chat" : "Atlas AI chats"
+)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111827; max-width: 800px; margin: 2rem auto; line-height: 1.5; }
+  section + section { page-break-before: always; }
+  h1 { font-size: 1.5rem; margin-bottom: 0; }
+  .meta { color: #6b7280; font-size: 0.75rem; }
+  .message { border-top: 1px solid #e5e7eb; padding: 0.75rem 0; page-break-inside: avoid; }
+  .message.user { background: #eef2ff; padding: 0.75rem; }
+  pre { background: #f3f4f6; padding: 0.75rem; white-space: pre-wrap; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+  .sources { font-size: 0.8rem; color: #374151; }
+  blockquote { border-left: 3px solid #d1d5db; margin: 0.25rem 0; padding-left: 0.5rem; color: #6b7280; }
+</style>
+</head>
+<body>
+${chats.map(chatToHtmlSection).join("\n")}
+</body>
+</html>`;
+
+// Print through a hidden iframe so the browser's "Save as PDF" can be used
+export const printHtml = html => {
+  const frame = document.createElement("iframe");
+  frame.style.position = "fixed";
+  frame.style.width = "0";
+  frame.style.height = "0";
+  frame.style.border = "0";
+  document.body.appendChild(frame);
+
+  frame.onload = () => {
+    frame.contentWindow.onafterprint = () => frame.remove();
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+};
@@ -0,0 +1,28 @@
+// src/utils/documents.js - Display helpers for document metadata
+
+// An edited title wins over the uploaded file name
+export const getDocumentTitle = doc =>
+  doc?.title || doc?.name || doc?.fileName || "Untitled document";
+
+export const getDocumentTags = doc =>
+  Array.isArray(doc?.tags) ? doc.tags.filter(Boolean) : [];
+
+// Tags are compared case-insensitively; the first spelling seen is kept
+export const normalizeTag = tag => tag.trim().replace(/\s+/g, " ");
+
+export const getAllTags = documents => {
+  const tags = new Map();
+  documents.forEach(doc =>
+    getDocumentTags(doc).forEach(tag => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    })
+  );
+  return Array.from(tags.values()).sort((a, b) =>
+    a.localeCompare(b, undefined, { sensitivity: "base" })
+  );
+};
+
+export const hasTag = (doc, tag) =>
+  getDocumentTags(doc).some(
+    docTag => docTag.toLowerCase() === tag.toLowerCase()
+  );
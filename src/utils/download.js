@@ -0,0 +1,14 @@
+// src/utils/download.js - Save generated content as a file in the browser
+// content can be a string, a Blob or bytes
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download in Firefox
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,102 @@
+// src/utils/fileSniffer.js - Identify uploads by their content rather than the browser's MIME type
+import { getFileTypeByName } from "../config/fileTypes";
+
+const SNIFF_BYTES = 64 * 1024;
+
+const startsWith = (bytes, signature) =>
+  signature.every((byte, index) => bytes[index] === byte);
+
+const SIGNATURES = {
+  pdf: [0x25, 0x50, 0x44, 0x46, 0x2d], // %PDF-
+  png: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  jpeg: [0xff, 0xd8, 0xff],
+  zip: [0x50, 0x4b, 0x03, 0x04], // PK.. (docx/pptx are zip packages)
+};
+
+const TEXT_FORMATS = ["txt", "md", "html"];
+
+// Every format sniffFormat can return for a supported document
+const SNIFFED_FORMATS = ["pdf", "png", "jpeg", "docx", "pptx", ...TEXT_FORMATS];
+
+const decodeText = bytes => {
+  if (bytes.includes(0)) return null;
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch (e) {
+    // A multi-byte character may be cut off at the end of the sample
+    try {
+      return new TextDecoder("utf-8", { fatal: true }).decode(
+        bytes.slice(0, -3)
+      );
+    } catch (err) {
+      return null;
+    }
+  }
+};
+
+// Which format the file's bytes look like, or null if none we recognise
+const sniffFormat = (bytes, fileName) => {
+  if (startsWith(bytes, SIGNATURES.pdf)) return "pdf";
+  if (startsWith(bytes, SIGNATURES.png)) return "png";
+  if (startsWith(bytes, SIGNATURES.jpeg)) return "jpeg";
+
+  if (startsWith(bytes, SIGNATURES.zip)) {
+    // Office packages name their parts word/... or ppt/... in the entry headers
+    const names = new TextDecoder("latin1").decode(bytes);
+    if (names.includes("word/")) return "docx";
+    if (names.includes("ppt/")) return "pptx";
+    const byName = getFileTypeByName(fileName)?.id;
+    return ["docx", "pptx"].includes(byName) ? byName : "zip";
+  }
+
+  const text = decodeText(bytes);
+  if (text === null) return null;
+  if (/<(!doctype html|html|head|body)[\s>]/i.test(text.slice(0, 2048))) {
+    return "html";
+  }
+  // Plain text and Markdown look alike; the extension decides
+  const byName = getFileTypeByName(fileName)?.id;
+  return byName === "md" ? "md" : "txt";
+};
+
+/**
+ * Match a file against the allowed types using its leading bytes. Types the
+ * backend supports beyond the ones recognised here are matched on the
+ * file's extension or MIME type instead.
+ * Returns: { type } on success, { error } otherwise
+ */
+export const detectFileType = async (file, allowedTypes) => {
+  const claimed =
+    getFileTypeByName(file.name, allowedTypes) ||
+    allowedTypes.find(allowed => allowed.mimeTypes.includes(file.type)) ||
+    null;
+  if (claimed && !SNIFFED_FORMATS.includes(claimed.id)) {
+    return { type: claimed };
+  }
+
+  const buffer = await file.slice(0, SNIFF_BYTES).arrayBuffer();
+  const format = sniffFormat(new Uint8Array(buffer), file.name);
+  if (!format) {
+    return { error: "Unrecognised file content" };
+  }
+
+  // Text formats are only told apart heuristically, so the extension wins
+  if (
+    claimed &&
+    TEXT_FORMATS.includes(format) &&
+    TEXT_FORMATS.includes(claimed.id)
+  ) {
+    return { type: claimed };
+  }
+
+  const type = allowedTypes.find(allowed => allowed.id === format);
+  if (!type) {
+    return { error: "This file type is not supported" };
+  }
+  if (claimed && claimed.id !== type.id) {
+    return {
+      error: `File content is ${type.label}, not ${claimed.label}`,
+    };
+  }
+  return { type };
+};
@@ -0,0 +1,85 @@
+// src/utils/fileTree.js - Collect files from dropped folders, keeping their relative paths
+
+// OS metadata that rides along with folders and archives; dotfiles too
+const IGNORED_NAMES = ["Thumbs.db", "desktop.ini", "__MACOSX"];
+
+export const isIgnoredPath = path =>
+  path
+    .split("/")
+    .some(part => part.startsWith(".") || IGNORED_NAMES.includes(part));
+
+// "Reports/2024/q1.pdf" -> "Reports/2024"; top-level files have no collection
+export const getCollectionPath = path => {
+  const index = path.lastIndexOf("/");
+  return index > 0 ? path.slice(0, index) : "";
+};
+
+const readEntries = reader =>
+  new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const getEntryFile = entry =>
+  new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, results) => {
+  if (entry.isFile) {
+    results.push({
+      file: await getEntryFile(entry),
+      path: entry.fullPath.replace(/^\//, ""),
+    });
+    return;
+  }
+
+  // readEntries hands back directory contents in batches until it's empty
+  const reader = entry.createReader();
+  for (;;) {
+    const batch = await readEntries(reader);
+    if (batch.length === 0) break;
+    for (const child of batch) {
+      await walkEntry(child, results);
+    }
+  }
+};
+
+/**
+ * Flatten a drop into { file, path } pairs, descending into folders.
+ * Entries must be taken from the DataTransfer before the first await,
+ * so this reads them synchronously and only then walks the tree.
+ * Returns: [{ file, path }] with paths relative to the dropped items
+ */
+export const getDroppedFiles = async dataTransfer => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === "file")
+    .map(item => item.webkitGetAsEntry?.());
+
+  // Browsers without the entries API only give us the top-level files
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return Array.from(dataTransfer.files).map(file => ({
+      file,
+      path: file.name,
+    }));
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    await walkEntry(entry, results);
+  }
+  return results;
+};
+
+// Every folder and parent folder named by the collections, sorted so each
+// parent comes right before its children
+export const getCollectionTree = collections => {
+  const paths = new Set();
+  collections.filter(Boolean).forEach(collection => {
+    const parts = collection.split("/");
+    parts.forEach((_, index) => paths.add(parts.slice(0, index + 1).join("/")));
+  });
+  return Array.from(paths).sort((a, b) =>
+    a.localeCompare(b, undefined, { sensitivity: "base" })
+  );
+};
+
+export const isInCollection = (collection, folder) =>
+  !folder ||
+  collection === folder ||
+  Boolean(collection?.startsWith(`${folder}/`));
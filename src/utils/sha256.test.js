@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+// src/utils/sha256.test.js - Known answers and chunk boundaries for the incremental SHA-256
+import { createHash } from "crypto";
+import { createSha256 } from "./sha256";
+
+const encoder = new TextEncoder();
+
+const hashChunks = chunks => {
+  const sha256 = createSha256();
+  chunks.forEach(chunk => sha256.update(chunk));
+  return sha256.digest();
+};
+
+const reference = bytes => createHash("sha256").update(bytes).digest("hex");
+
+// Deterministic bytes so failures can be reproduced
+const makeBytes = length =>
+  Uint8Array.from({ length }, (_, index) => (index * 31 + 7) & 0xff);
+
+describe("createSha256", () => {
+  test.each([
+    ["", "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"],
+    ["abc", "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"],
+    [
+      "abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq",
+      "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1",
+    ],
+    [
+      "abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu",
+      "cf5b16a778af8380036ce59e7b0492370b249b11e8f07a51afac45037afee9d1",
+    ],
+  ])("hashes %j", (text, expected) => {
+    expect(hashChunks([encoder.encode(text)])).toBe(expected);
+  });
+
+  test("hashes a million 'a's fed in uneven chunks", () => {
+    const chunk = encoder.encode("a".repeat(999));
+    const chunks = Array.from({ length: 1001 }, () => chunk);
+    chunks.push(encoder.encode("a".repeat(1000000 - 999 * 1001)));
+
+    expect(hashChunks(chunks)).toBe(
+      "cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0"
+    );
+  });
+
+  test.each([55, 56, 57, 63, 64, 65, 119, 120, 128, 1000])(
+    "pads a %i-byte message like the reference",
+    length => {
+      const bytes = makeBytes(length);
+      expect(hashChunks([bytes])).toBe(reference(bytes));
+    }
+  );
+
+  test("gives the same hash wherever the input is split", () => {
+    const bytes = makeBytes(200);
+    const expected = reference(bytes);
+
+    for (let split = 0; split <= bytes.length; split++) {
+      expect(
+        hashChunks([bytes.subarray(0, split), bytes.subarray(split)])
+      ).toBe(expected);
+    }
+  });
+
+  test("handles many small chunks that straddle block boundaries", () => {
+    const bytes = makeBytes(777);
+    const chunks = [];
+    for (
+      let offset = 0, size = 1;
+      offset < bytes.length;
+      size = (size % 70) + 1
+    ) {
+      chunks.push(bytes.subarray(offset, offset + size));
+      offset += size;
+    }
+
+    expect(hashChunks(chunks)).toBe(reference(bytes));
+  });
+});
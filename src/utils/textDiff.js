@@ -0,0 +1,83 @@
+// src/utils/textDiff.js - Line diff between two versions of a document's text
+// Above this many comparisons the changed region is shown as replaced wholesale
+const MAX_DIFF_CELLS = 4000000;
+
+const splitLines = text =>
+  text ? text.replace(/\r\n?/g, "\n").split("\n") : [];
+
+// Longest common subsequence table, filled from the end so the walk below
+// can go forwards
+const diffMiddle = (before, after) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = new Uint32Array(rows * cols);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] =
+        before[i] === after[j]
+          ? table[(i + 1) * cols + j + 1] + 1
+          : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      lines.push({ type: "same", text: before[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      lines.push({ type: "removed", text: before[i++] });
+    } else {
+      lines.push({ type: "added", text: after[j++] });
+    }
+  }
+  while (i < before.length) lines.push({ type: "removed", text: before[i++] });
+  while (j < after.length) lines.push({ type: "added", text: after[j++] });
+  return lines;
+};
+
+/**
+ * Compare two texts line by line. Revisions usually touch a few passages,
+ * so the shared start and end are matched before the expensive part.
+ * Returns: [{ type: "same" | "added" | "removed", text }]
+ */
+export const diffLines = (oldText, newText) => {
+  const before = splitLines(oldText);
+  const after = splitLines(newText);
+
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    before[start] === after[start]
+  ) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const removed = before.slice(start, before.length - end);
+  const added = after.slice(start, after.length - end);
+  const middle =
+    (removed.length + 1) * (added.length + 1) > MAX_DIFF_CELLS
+      ? [
+          ...removed.map(text => ({ type: "removed", text })),
+          ...added.map(text => ({ type: "added", text })),
+        ]
+      : diffMiddle(removed, added);
+
+  return [
+    ...before.slice(0, start).map(text => ({ type: "same", text })),
+    ...middle,
+    ...before.slice(before.length - end).map(text => ({ type: "same", text })),
+  ];
+};
@@ -0,0 +1,15 @@
+// src/utils/wait.js - Promise-based delay that an AbortSignal can cut short
+export const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timeout);
+      reject(new DOMException("Wait aborted", "AbortError"));
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) abort();
+    signal?.addEventListener("abort", abort, { once: true });
+  });
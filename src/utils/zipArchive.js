@@ -0,0 +1,336 @@
+// src/utils/zipArchive.js - Read and write .zip archives in the browser
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+// Larger values in these fields mean the real ones are in ZIP64 records
+const ZIP64_COUNT = 0xffff;
+const ZIP64_SIZE = 0xffffffff;
+const UTF8_FLAG = 0x0800;
+
+// Unpacking happens in memory, so a small archive must not be able to
+// expand into something the tab can't hold
+const MAX_ENTRIES = 5000;
+const MAX_UNPACKED_SIZE = 1024 * 1024 * 1024; // 1GB
+
+// Names without the UTF-8 flag are in the original IBM PC code page;
+// these are its characters 0x80-0xFF
+const CP437_HIGH =
+  "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0";
+
+const zip64Error = () =>
+  new Error(
+    "ZIP64 archives (over 4GB or 65,535 files) are not supported; split it into smaller archives"
+  );
+
+const readBytes = async (blob, start, end) =>
+  new DataView(await blob.slice(start, end).arrayBuffer());
+
+// The end-of-central-directory record sits behind an optional comment
+const findEndOfCentralDirectory = async file => {
+  const start = Math.max(0, file.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+  const view = await readBytes(file, start, file.size);
+  for (let offset = view.byteLength - EOCD_SIZE; offset >= 0; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      return {
+        entryCount: view.getUint16(offset + 10, true),
+        directorySize: view.getUint32(offset + 12, true),
+        directoryOffset: view.getUint32(offset + 16, true),
+      };
+    }
+  }
+  throw new Error("Not a valid ZIP archive");
+};
+
+// MS-DOS date and time fields, as stored for each entry
+const fromDosDateTime = (date, time) =>
+  new Date(
+    (date >> 9) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    time >> 11,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  ).getTime();
+
+// Many tools write UTF-8 names without setting the flag, so valid UTF-8
+// is taken as such before falling back to the code page
+const decodeName = (bytes, flags) => {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch (error) {
+    if (flags & UTF8_FLAG) throw new Error("Corrupt ZIP entry name");
+    return Array.from(bytes, byte =>
+      byte < 0x80 ? String.fromCharCode(byte) : CP437_HIGH[byte - 0x80]
+    ).join("");
+  }
+};
+
+const readCentralDirectory = async file => {
+  const { entryCount, directorySize, directoryOffset } =
+    await findEndOfCentralDirectory(file);
+  if (
+    entryCount === ZIP64_COUNT ||
+    directorySize === ZIP64_SIZE ||
+    directoryOffset === ZIP64_SIZE
+  ) {
+    throw zip64Error();
+  }
+  if (entryCount > MAX_ENTRIES) {
+    throw new Error(`Archive has more than ${MAX_ENTRIES} entries`);
+  }
+  if (directoryOffset + directorySize > file.size) {
+    throw new Error("Corrupt ZIP central directory");
+  }
+
+  const view = await readBytes(
+    file,
+    directoryOffset,
+    directoryOffset + directorySize
+  );
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (
+      offset + 46 > view.byteLength ||
+      view.getUint32(offset, true) !== CENTRAL_SIGNATURE
+    ) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    if (offset + 46 + nameLength > view.byteLength) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const nameBytes = new Uint8Array(
+      view.buffer,
+      view.byteOffset + offset + 46,
+      nameLength
+    );
+
+    const entry = {
+      path: decodeName(nameBytes, flags),
+      encrypted: (flags & 0x1) !== 0,
+      method: view.getUint16(offset + 10, true),
+      lastModified: fromDosDateTime(
+        view.getUint16(offset + 14, true),
+        view.getUint16(offset + 12, true)
+      ),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      headerOffset: view.getUint32(offset + 42, true),
+    };
+    if (
+      entry.compressedSize === ZIP64_SIZE ||
+      entry.size === ZIP64_SIZE ||
+      entry.headerOffset === ZIP64_SIZE
+    ) {
+      throw zip64Error();
+    }
+    entries.push(entry);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Inflate a deflated entry, stopping as soon as it outgrows the size the
+// directory recorded for it
+const inflate = async (data, size) => {
+  const reader = data
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"))
+    .getReader();
+  const chunks = [];
+  let inflated = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    inflated += value.byteLength;
+    if (inflated > size) {
+      reader.cancel();
+      throw new Error("unpacks to more than its recorded size");
+    }
+    chunks.push(value);
+  }
+  if (inflated !== size) {
+    throw new Error("unpacks to less than its recorded size");
+  }
+  return new Blob(chunks);
+};
+
+const extractEntry = async (file, entry) => {
+  if (entry.encrypted) {
+    throw new Error("encrypted entries are not supported");
+  }
+
+  // The local header repeats the name and may carry a different extra field
+  const header = await readBytes(
+    file,
+    entry.headerOffset,
+    entry.headerOffset + 30
+  );
+  if (header.byteLength < 30 || header.getUint32(0, true) !== LOCAL_SIGNATURE) {
+    throw new Error("corrupt local header");
+  }
+  const dataStart =
+    entry.headerOffset +
+    30 +
+    header.getUint16(26, true) +
+    header.getUint16(28, true);
+  const data = file.slice(dataStart, dataStart + entry.compressedSize);
+  if (data.size !== entry.compressedSize) {
+    throw new Error("entry is truncated");
+  }
+
+  if (entry.method === 0) {
+    if (entry.compressedSize !== entry.size) {
+      throw new Error("corrupt entry sizes");
+    }
+    return data;
+  }
+  if (entry.method === 8) return inflate(data, entry.size);
+  throw new Error(`compression method ${entry.method} is not supported`);
+};
+
+/**
+ * Unpack every file in a ZIP archive. Folders are implied by the paths;
+ * entries that can't be read are reported instead of failing the archive.
+ * Archives with too many entries or too much content are refused whole.
+ * Returns: { files: [{ file, path }], errors: [string] }
+ */
+export const extractZip = async archive => {
+  const entries = (await readCentralDirectory(archive)).filter(
+    entry => !entry.path.endsWith("/")
+  );
+  const unpackedSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (unpackedSize > MAX_UNPACKED_SIZE) {
+    throw new Error(
+      `Archive unpacks to more than ${MAX_UNPACKED_SIZE / 1024 ** 3}GB`
+    );
+  }
+
+  const files = [];
+  const errors = [];
+
+  for (const entry of entries) {
+    try {
+      const blob = await extractEntry(archive, entry);
+      const name = entry.path.slice(entry.path.lastIndexOf("/") + 1);
+      files.push({
+        file: new File([blob], name, { lastModified: entry.lastModified }),
+        path: entry.path,
+      });
+    } catch (error) {
+      errors.push(`${entry.path}: ${error.message}`);
+    }
+  }
+
+  return { files, errors };
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = bytes => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = timestamp => {
+  const date = new Date(timestamp);
+  return {
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+  };
+};
+
+/**
+ * Pack files into an uncompressed ZIP. Documents are mostly PDFs and
+ * images that don't shrink further, so entries are stored as-is.
+ * Returns: a Blob of type application/zip
+ */
+export const createZip = async files => {
+  if (files.length >= ZIP64_COUNT) {
+    throw new Error("Selection has too many files for a single ZIP archive");
+  }
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { path, blob, lastModified = Date.now() } of files) {
+    const name = encoder.encode(path);
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const crc = crc32(data);
+    const { date, time } = toDosDateTime(lastModified);
+    if (offset + data.length > 0xffffffff) {
+      throw new Error("Selection is too large for a single ZIP archive");
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_SIGNATURE, true);
+    header.setUint16(4, 20, true); // version needed
+    header.setUint16(6, UTF8_FLAG, true); // names are UTF-8
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    parts.push(header, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_SIGNATURE, true);
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = directory.reduce(
+    (sum, part) => sum + part.byteLength,
+    0
+  );
+  const end = new DataView(new ArrayBuffer(EOCD_SIZE));
+  end.setUint32(0, EOCD_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: "application/zip" });
+};
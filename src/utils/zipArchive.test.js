@@ -0,0 +1,215 @@
+/**
+ * @jest-environment node
+ */
+// src/utils/zipArchive.test.js - Round trips and malformed archives for the ZIP reader and writer
+import { Blob, File } from "buffer";
+import { DecompressionStream } from "stream/web";
+import { deflateRawSync } from "zlib";
+import { createZip, extractZip } from "./zipArchive";
+
+// The browser APIs the archive code relies on, from Node's implementations
+global.Blob = Blob;
+global.File = File;
+global.DecompressionStream = DecompressionStream;
+
+const encoder = new TextEncoder();
+
+/**
+ * Hand-built archive for cases createZip never produces.
+ * entries: [{ name: Uint8Array, data: Uint8Array, size?, method?, flags? }]
+ * `end` overrides the end-of-central-directory fields.
+ */
+const buildZip = (entries, end = {}) => {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  entries.forEach(
+    ({ name, data, size = data.length, method = 0, flags = 0 }) => {
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(6, flags, true);
+      header.setUint16(8, method, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, size, true);
+      header.setUint16(26, name.length, true);
+      parts.push(new Uint8Array(header.buffer), name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(8, flags, true);
+      entry.setUint16(10, method, true);
+      entry.setUint16(14, 0x21, true); // 1 Jan 1980
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, size, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      directory.push(new Uint8Array(entry.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+  );
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, end.entryCount ?? entries.length, true);
+  eocd.setUint16(10, end.entryCount ?? entries.length, true);
+  eocd.setUint32(12, directorySize, true);
+  eocd.setUint32(16, end.directoryOffset ?? offset, true);
+
+  return new Blob([...parts, ...directory, new Uint8Array(eocd.buffer)]);
+};
+
+const textOf = async file => Buffer.from(await file.arrayBuffer()).toString();
+
+describe("createZip and extractZip", () => {
+  test("round-trip names, folders, content and dates", async () => {
+    const lastModified = new Date(2024, 4, 17, 9, 30, 10).getTime();
+    const archive = await createZip([
+      {
+        path: "policies/leave.txt",
+        blob: new Blob(["Annual leave"]),
+        lastModified,
+      },
+      { path: "résumé – 2024.md", blob: new Blob(["# CV"]), lastModified },
+      { path: "empty.txt", blob: new Blob([]), lastModified },
+    ]);
+
+    const { files, errors } = await extractZip(archive);
+
+    expect(errors).toEqual([]);
+    expect(files.map(entry => entry.path)).toEqual([
+      "policies/leave.txt",
+      "résumé – 2024.md",
+      "empty.txt",
+    ]);
+    expect(files[0].file.name).toBe("leave.txt");
+    expect(await textOf(files[0].file)).toBe("Annual leave");
+    expect(await textOf(files[1].file)).toBe("# CV");
+    expect(files[2].file.size).toBe(0);
+    expect(files[0].file.lastModified).toBe(lastModified);
+  });
+
+  test("inflates deflated entries", async () => {
+    const content = "The same sentence, over and over. ".repeat(200);
+    const archive = buildZip([
+      {
+        name: encoder.encode("notes.txt"),
+        data: deflateRawSync(Buffer.from(content)),
+        size: content.length,
+        method: 8,
+      },
+    ]);
+
+    const { files, errors } = await extractZip(archive);
+
+    expect(errors).toEqual([]);
+    expect(await textOf(files[0].file)).toBe(content);
+  });
+
+  test("skips folder entries", async () => {
+    const archive = buildZip([
+      { name: encoder.encode("docs/"), data: new Uint8Array(0) },
+      { name: encoder.encode("docs/a.txt"), data: encoder.encode("a") },
+    ]);
+
+    const { files } = await extractZip(archive);
+    expect(files.map(entry => entry.path)).toEqual(["docs/a.txt"]);
+  });
+
+  test("reads names without the UTF-8 flag as code page 437", async () => {
+    const archive = buildZip([
+      // "café.txt" as an old DOS tool would write it
+      {
+        name: new Uint8Array([0x63, 0x61, 0x66, 0x82, 0x2e, 0x74, 0x78, 0x74]),
+        data: encoder.encode("menu"),
+      },
+    ]);
+
+    const { files } = await extractZip(archive);
+    expect(files[0].path).toBe("café.txt");
+  });
+
+  test("stops an entry that inflates past its recorded size", async () => {
+    const archive = buildZip([
+      {
+        name: encoder.encode("bomb.txt"),
+        data: deflateRawSync(Buffer.alloc(1024 * 1024)),
+        size: 100,
+        method: 8,
+      },
+      { name: encoder.encode("fine.txt"), data: encoder.encode("fine") },
+    ]);
+
+    const { files, errors } = await extractZip(archive);
+
+    expect(files.map(entry => entry.path)).toEqual(["fine.txt"]);
+    expect(errors).toEqual([
+      "bomb.txt: unpacks to more than its recorded size",
+    ]);
+  });
+
+  test("refuses archives that unpack to too much content", async () => {
+    const archive = buildZip([
+      {
+        name: encoder.encode("a.bin"),
+        data: deflateRawSync(Buffer.alloc(10)),
+        size: 0x7fffffff,
+        method: 8,
+      },
+    ]);
+
+    await expect(extractZip(archive)).rejects.toThrow(
+      "Archive unpacks to more than 1GB"
+    );
+  });
+
+  test("refuses archives with too many entries", async () => {
+    const archive = buildZip([], { entryCount: 6000 });
+
+    await expect(extractZip(archive)).rejects.toThrow(
+      "Archive has more than 5000 entries"
+    );
+  });
+
+  test("names ZIP64 as the reason an archive can't be read", async () => {
+    const archive = buildZip([], { entryCount: 0xffff });
+
+    await expect(extractZip(archive)).rejects.toThrow(/ZIP64/);
+  });
+
+  test("rejects files that are not archives", async () => {
+    await expect(extractZip(new Blob(["just some text"]))).rejects.toThrow(
+      "Not a valid ZIP archive"
+    );
+  });
+
+  test("rejects a central directory that points past the end", async () => {
+    const archive = buildZip(
+      [{ name: encoder.encode("a.txt"), data: encoder.encode("a") }],
+      { directoryOffset: 5000 }
+    );
+
+    await expect(extractZip(archive)).rejects.toThrow(
+      "Corrupt ZIP central directory"
+    );
+  });
+
+  test("reports entries cut short by a truncated archive", async () => {
+    const archive = buildZip([
+      { name: encoder.encode("a.txt"), data: encoder.encode("abc"), size: 3 },
+    ]);
+    const bytes = new Uint8Array(await archive.arrayBuffer());
+    // Claim more stored bytes than the entry has
+    const view = new DataView(bytes.buffer);
+    const directoryOffset = view.getUint32(bytes.length - 6, true);
+    view.setUint32(directoryOffset + 20, 300, true);
+    view.setUint32(directoryOffset + 24, 300, true);
+
+    const { files, errors } = await extractZip(new Blob([bytes]));
+
+    expect(files).toEqual([]);
+    expect(errors).toEqual(["a.txt: entry is truncated"]);
+  });
+});
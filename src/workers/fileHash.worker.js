@@ -0,0 +1,59 @@
+// src/workers/fileHash.worker.js - SHA-256 of uploads, off the main thread
+/* eslint-env worker */
+import { createSha256 } from "../utils/sha256";
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Hash one request at a time; cancelled ids are dropped between chunks
+const queue = [];
+const cancelled = new Set();
+// Id of the request being hashed, null while idle
+let currentId = null;
+
+const hashNext = async () => {
+  if (currentId !== null || queue.length === 0) return;
+
+  const { id, file } = queue.shift();
+  currentId = id;
+  try {
+    const sha256 = createSha256();
+    for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+      if (cancelled.has(id)) break;
+      const chunk = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+      sha256.update(new Uint8Array(chunk));
+      postMessage({
+        id,
+        progress: (Math.min(offset + CHUNK_SIZE, file.size) / file.size) * 100,
+      });
+    }
+
+    if (cancelled.has(id)) {
+      postMessage({ id, cancelled: true });
+    } else {
+      postMessage({ id, hash: sha256.digest() });
+    }
+  } catch (error) {
+    postMessage({ id, error: error.message });
+  } finally {
+    cancelled.delete(id);
+    currentId = null;
+    hashNext();
+  }
+};
+
+onmessage = ({ data }) => {
+  if (data.type === "cancel") {
+    const index = queue.findIndex(item => item.id === data.id);
+    if (index >= 0) {
+      queue.splice(index, 1);
+      postMessage({ id: data.id, cancelled: true });
+    } else if (data.id === currentId) {
+      cancelled.add(data.id);
+    }
+    // Anything else already finished; there is nothing left to cancel
+    return;
+  }
+
+  queue.push({ id: data.id, file: data.file });
+  hashNext();
+};